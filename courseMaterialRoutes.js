@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const admin = require('firebase-admin');
+const { ROLES, STAFF_ROLES, authenticate, authorize } = require('./lib/auth');
+const { httpError, sendError } = require('./lib/errors');
+const { uploadToCloudinary } = require('./lib/uploads');
+const { teacherTeaches } = require('./lib/sessions');
+const { materialType, indexDocument, removeDocument, retrieveChunks } = require('./lib/courseMaterials');
+
+const db = admin.firestore();
+
+// Who can upload, re-index and remove course material
+const MATERIAL_MANAGERS = [...STAFF_ROLES, ROLES.SUPER_ADMIN];
+
+// Slide decks run bigger than the 5MB limit used for applications and submissions
+const MAX_MATERIAL_MB = Number(process.env.COURSE_MATERIAL_MAX_MB || 25);
+const materialUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_MATERIAL_MB * 1024 * 1024 }
+});
+
+// Super admins must say which institute they are working on; everyone else uses their own
+function targetInstitute(req) {
+    if (req.user.role === ROLES.SUPER_ADMIN) {
+        const instituteId = (req.body && req.body.instituteId) || req.query.instituteId;
+        if (!instituteId) throw httpError(400, 'Missing Institute ID');
+        return instituteId;
+    }
+    return req.user.instituteId;
+}
+
+// Teachers may only manage material for subjects they teach; HODs and admins manage their institute's
+async function assertCanManageSubject(req, subject) {
+    if (req.user.role !== ROLES.TEACHER) return;
+    const teacherSnap = await db.collection('users').doc(req.user.uid).get();
+    if (!teacherSnap.exists || !teacherTeaches(teacherSnap.data(), subject)) {
+        throw httpError(403, `You are not assigned to teach ${subject}.`);
+    }
+}
+
+async function loadMaterial(req) {
+    const snap = await db.collection('course_documents').doc(req.params.documentId).get();
+    if (!snap.exists) throw httpError(404, 'Document not found');
+    const material = snap.data();
+    if (req.user.role !== ROLES.SUPER_ADMIN && material.instituteId !== req.user.instituteId) {
+        throw httpError(403, 'Target belongs to another institute.');
+    }
+    await assertCanManageSubject(req, material.subject);
+    return { id: snap.id, ...material };
+}
+
+// 1. UPLOAD (PDF or PPTX; text is extracted, chunked and indexed straight away)
+router.post('/', authorize(MATERIAL_MANAGERS), materialUpload.single('document'), async (req, res) => {
+    try {
+        const { subject, title } = req.body;
+        const file = req.file;
+        if (!file) return res.status(400).json({ error: 'Document file is required' });
+        if (!subject) return res.status(400).json({ error: 'Subject is required' });
+        const type = materialType(file.mimetype, file.originalname);
+        if (!type) return res.status(400).json({ error: 'Only PDF and PPTX files are supported' });
+
+        const instituteId = targetInstitute(req);
+        await assertCanManageSubject(req, subject);
+
+        const fileUrl = await uploadToCloudinary(file.buffer, { folder: 'acadex_course_material', resource_type: 'raw' });
+        const ref = await db.collection('course_documents').add({
+            instituteId,
+            subject,
+            title: (title || file.originalname).trim(),
+            fileName: file.originalname,
+            type,
+            fileUrl,
+            sizeBytes: file.size,
+            uploadedBy: req.user.uid,
+            status: 'indexing',
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        try {
+            const stats = await indexDocument(ref.id, file.buffer);
+            res.json({ message: 'Document indexed.', documentId: ref.id, ...stats });
+        } catch (err) {
+            // The upload is kept (status 'failed') so it can be re-indexed or removed
+            console.error("Index Material Error:", err);
+            res.status(err.status || 500).json({ error: err.message, documentId: ref.id });
+        }
+    } catch (error) { sendError(res, error); }
+});
+
+// 2. LIST (students see their institute's material too)
+router.get('/', authenticate, async (req, res) => {
+    try {
+        let query = db.collection('course_documents').where('instituteId', '==', targetInstitute(req));
+        if (req.query.subject) query = query.where('subject', '==', req.query.subject);
+        const snap = await query.get();
+        const documents = snap.docs.map(doc => {
+            const { fileUrl, ...rest } = doc.data();
+            return { id: doc.id, ...rest, fileUrl: req.user.role === ROLES.STUDENT ? undefined : fileUrl };
+        });
+        res.json({ documents });
+    } catch (error) { sendError(res, error); }
+});
+
+// 3. SEARCH (what notes, quizzes and chat would retrieve for a query)
+router.get('/search', authenticate, async (req, res) => {
+    try {
+        const { q, subject } = req.query;
+        if (!q) return res.status(400).json({ error: 'Query is required' });
+        const results = await retrieveChunks({ instituteId: targetInstitute(req), subject, query: q, limit: 8 });
+        res.json({ results });
+    } catch (error) { sendError(res, error); }
+});
+
+// 4. RE-INDEX (downloads the original again, e.g. after a failed upload or chunking changes)
+router.post('/:documentId/reindex', authorize(MATERIAL_MANAGERS), async (req, res) => {
+    try {
+        const material = await loadMaterial(req);
+        const stats = await indexDocument(material.id);
+        res.json({ message: 'Document re-indexed.', documentId: material.id, ...stats });
+    } catch (error) { sendError(res, error); }
+});
+
+// 5. REMOVE (drops the document and its chunks from the index)
+router.delete('/:documentId', authorize(MATERIAL_MANAGERS), async (req, res) => {
+    try {
+        const material = await loadMaterial(req);
+        await removeDocument(material.id);
+        res.json({ message: 'Document removed.' });
+    } catch (error) { sendError(res, error); }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const admin = require('firebase-admin');
+const { authenticate } = require('./lib/auth');
+const { httpError, sendError } = require('./lib/errors');
+const { aiQuota } = require('./lib/aiUsage');
+const { cachedAICall, sendAIError } = require('./lib/aiCache');
+const { AI_SCHEMAS } = require('./lib/aiSchemas');
+const { renderPrompt } = require('./lib/prompts');
+const { hasAttempted } = require('./lib/quizzes');
+const {
+    listDecks, createDeck, addCards, addCardsForTopic, getDeck, deleteDeck, deleteCard, dueCards, reviewCard, cardsFromQuiz
+} = require('./lib/flashcards');
+
+const db = admin.firestore();
+
+// Cards generated per note import
+const CARDS_PER_NOTE = 8;
+
+// 1. LIST DECKS
+router.get('/decks', authenticate, async (req, res) => {
+    try {
+        res.json({ decks: await listDecks(req.user.uid) });
+    } catch (error) { sendError(res, error); }
+});
+
+// 2. CREATE DECK (manual; `topic` is optional)
+router.post('/decks', authenticate, async (req, res) => {
+    try {
+        const { title, topic } = req.body;
+        const deckId = await createDeck(req.user.uid, { title, topic });
+        res.json({ message: 'Deck created.', deckId });
+    } catch (error) { sendError(res, error); }
+});
+
+// 3. DECK DETAIL (cards in due order)
+router.get('/decks/:deckId', authenticate, async (req, res) => {
+    try {
+        res.json(await getDeck(req.user.uid, req.params.deckId));
+    } catch (error) { sendError(res, error); }
+});
+
+// 4. DELETE DECK (with its cards and their review history)
+router.delete('/decks/:deckId', authenticate, async (req, res) => {
+    try {
+        await deleteDeck(req.user.uid, req.params.deckId);
+        res.json({ message: 'Deck deleted.' });
+    } catch (error) { sendError(res, error); }
+});
+
+// 5. ADD CARDS BY HAND: { cards: [{ front, back }] }
+router.post('/decks/:deckId/cards', authenticate, async (req, res) => {
+    try {
+        const cardIds = await addCards(req.user.uid, req.params.deckId, req.body.cards, 'manual');
+        res.json({ message: 'Cards added.', cardIds });
+    } catch (error) { sendError(res, error); }
+});
+
+// 6. DELETE CARD
+router.delete('/decks/:deckId/cards/:cardId', authenticate, async (req, res) => {
+    try {
+        await deleteCard(req.user.uid, req.params.deckId, req.params.cardId);
+        res.json({ message: 'Card deleted.' });
+    } catch (error) { sendError(res, error); }
+});
+
+// 7. REVIEW A CARD: { grade } from 0 (blackout) to 5 (perfect recall); returns the next due date
+router.post('/decks/:deckId/cards/:cardId/review', authenticate, async (req, res) => {
+    try {
+        const next = await reviewCard(req.user.uid, req.params.deckId, req.params.cardId, req.body.grade);
+        res.json({ message: 'Review recorded.', ...next });
+    } catch (error) { sendError(res, error); }
+});
+
+// 8. DUE TODAY (all decks, or one with ?deckId=)
+router.get('/due', authenticate, async (req, res) => {
+    try {
+        const cards = await dueCards(req.user.uid, { deckId: req.query.deckId, limit: req.query.limit });
+        res.json({ cards, count: cards.length });
+    } catch (error) { sendError(res, error); }
+});
+
+// 9. IMPORT FROM NOTES (the model condenses the note into cards; added to the topic deck unless `deckId` is given)
+router.post('/import/notes', authenticate, aiQuota, async (req, res) => {
+    try {
+        const { noteId, deckId } = req.body;
+        if (!noteId) return res.status(400).json({ error: 'Note ID is required' });
+        const snap = await db.collection('notes').doc(noteId).get();
+        if (!snap.exists) throw httpError(404, 'Note not found');
+        const note = snap.data();
+        if (note.instituteId && note.instituteId !== req.user.instituteId) throw httpError(403, 'Target belongs to another institute.');
+
+        const { systemPrompt, userPrompt, promptVersion } = renderPrompt('flashcardsFromNotes', { content: note.content, count: CARDS_PER_NOTE });
+        const { result } = await cachedAICall({
+            route: 'flashcardsFromNotes',
+            inputs: { noteId, version: note.version || 1 },
+            systemPrompt,
+            userPrompt,
+            promptVersion,
+            jsonMode: true,
+            options: { schema: AI_SCHEMAS.flashcards },
+            user: req.user
+        });
+        const added = await addCardsForTopic(req.user.uid, { topic: note.topicName, deckId, cards: result.cards, source: 'note' });
+        res.json({ message: `${added.cardIds.length} cards imported.`, ...added });
+    } catch (error) {
+        console.error("Import Note Cards Error:", error);
+        return sendAIError(res, error);
+    }
+});
+
+// 10. IMPORT FROM A QUIZ (one card per question; no AI call). The cards show the answers, so only after an attempt.
+router.post('/import/quiz', authenticate, async (req, res) => {
+    try {
+        const { quizId, deckId } = req.body;
+        if (!quizId) return res.status(400).json({ error: 'Quiz ID is required' });
+        const snap = await db.collection('quizzes').doc(quizId).get();
+        if (!snap.exists) throw httpError(404, 'Quiz not found');
+        const quiz = snap.data();
+        if (!await hasAttempted(req.user.uid, quizId)) throw httpError(403, 'Submit the quiz before turning it into flashcards.');
+
+        const added = await addCardsForTopic(req.user.uid, { topic: quiz.topicName, deckId, cards: cardsFromQuiz(quiz), source: 'quiz' });
+        res.json({ message: `${added.cardIds.length} cards imported.`, ...added });
+    } catch (error) { sendError(res, error); }
+});
+
+module.exports = router;
@@ -6,7 +6,33 @@ const cloudinary = require('cloudinary').v2; //  2. Import Cloudinary
 const rateLimit = require('express-rate-limit'); //  3. Import Rate Limiter
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
-const { callGroqAI, computeHash, isUnsafe, MODEL_ID } = require('./lib/groqClient'); 
+const { callGroqAI, streamGroqAI, computeHash, MODEL_ID } = require('./lib/groqClient'); 
+const { ROLES, STAFF_ROLES, ADMIN_ROLES, authenticate, authorize, instituteFromRequest, instituteOfDoc, instituteOfUsers } = require('./lib/auth');
+const { createUserAccount } = require('./lib/accounts');
+const { approveStudentRequest, denyStudentRequest, bulkApproveStudentRequests } = require('./lib/studentRequests');
+const { parseRosterFile, validateRoster, importRoster, summarize, buildResultFile } = require('./lib/roster');
+const { issueQrToken, verifyQrToken, assertCurrentSequence, QR_ERRORS, QR_ROTATE_SECONDS } = require('./lib/qrToken');
+const { startLiveSession, pauseLiveSession, resumeLiveSession, extendLiveSession, endLiveSession, expireDueSessions, backfillSessionExpiry, assertCanManageSession, isExpired } = require('./lib/sessions');
+const { buildAttendanceReport, reportToCsv, reportToPdf } = require('./lib/attendanceReport');
+const { correctAttendance, raiseDispute, resolveDispute } = require('./lib/attendance');
+const { LEAVE_APPROVED, applyLeaveExcusals, revokeLeaveExcusals } = require('./lib/leaves');
+const { slotSessionDetails, openDueSlotSessions } = require('./lib/timetable');
+const { hashDevice, locationKey, detectProxyAttendance, reviewFlag } = require('./lib/proxyDetection');
+const { DEMO_MODE, normalizePolicy, verifyAttendanceLocation } = require('./lib/geofence');
+const { cachedAICall, describeAIError, sendAIError } = require('./lib/aiCache');
+const { AI_SCHEMAS } = require('./lib/aiSchemas');
+const { groundingFor } = require('./lib/courseMaterials');
+const { aiQuota, quotaStatus, instituteUsageReport, usageOverview, updateInstitutePlan } = require('./lib/aiUsage');
+const { prepareTurn, recordTurn, sendChatMessage, listThreads, getThreadMessages, renameThread, deleteThread } = require('./lib/chatThreads');
+const { streamCheck, assertSafe, moderateInput, reviewEvent } = require('./lib/moderation');
+const { renderPrompt } = require('./lib/prompts');
+const { topicKeyFor, approvedNoteFor, saveGeneratedNote } = require('./lib/noteReviews');
+const { addCardsForTopic } = require('./lib/flashcards');
+const { DIFFICULTIES, planQuiz, listSkills, weakestTopics } = require('./lib/skills');
+const { publicQuiz, submitQuizAttempt, nextQuizVariant } = require('./lib/quizzes');
+const { issueInteractiveTask, issuePersonalizedTasks, beginTask, submitTask } = require('./lib/interactiveTasks');
+const { uploadToCloudinary } = require('./lib/uploads');
+const { httpError, sendError } = require('./lib/errors');
 
 require('dotenv').config(); 
 
@@ -29,12 +55,6 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-const verifyLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, 
-  max: 10,
-  message: { error: "Verification limit reached. Please wait 15 minutes." }
-});
-
 // --- 1. MULTER CONFIG (RAM Storage) ---
 const upload = multer({ 
   storage: multer.memoryStorage(),
@@ -72,35 +92,19 @@ initFirebaseAdmin();
 const passkeyRoutes = require('./passkeyRoutes');
 app.use('/auth/passkeys', passkeyRoutes);
 
-// --- UTILITIES & HELPERS ---
+const timetableRoutes = require('./timetableRoutes');
+app.use('/timetable', timetableRoutes);
 
-const DEMO_MODE = (process.env.DEMO_MODE || 'true') === 'true';
-const ACCEPTABLE_RADIUS_METERS = Number(process.env.ACCEPTABLE_RADIUS_METERS || 200);
-function getDistance(lat1, lon1, lat2, lon2) {
-  const toRad = (x) => (x * Math.PI) / 180;
-  const R = 6371000; 
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-            Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
+const courseMaterialRoutes = require('./courseMaterialRoutes');
+app.use('/courseMaterials', courseMaterialRoutes);
 
-// Helper: Upload to Cloudinary
-async function uploadToCloudinary(fileBuffer) {
-    return new Promise((resolve, reject) => {
-        const stream = cloudinary.uploader.upload_stream(
-            { folder: "acadex_docs", resource_type: "auto" }, // auto detects PDF/Img
-            (error, result) => {
-                if (error) reject(error);
-                else resolve(result.secure_url);
-            }
-        );
-        stream.end(fileBuffer);
-    });
-}
+const noteReviewRoutes = require('./noteReviewRoutes');
+app.use('/noteReviews', noteReviewRoutes);
+
+const flashcardRoutes = require('./flashcardRoutes');
+app.use('/flashcards', flashcardRoutes);
+
+// --- UTILITIES & HELPERS ---
 
 // Helper: Recursive Delete (For cleaning up Institutes)
 async function deleteCollection(db, collectionPath, batchSize, queryField, queryValue) {
@@ -147,14 +151,13 @@ async function checkAndAwardBadges(userRef, currentXp, currentBadges = []) {
 // =======================
 
 // A. Topic Capture Flow
-app.post('/storeTopic', async (req, res) => {
+app.post('/storeTopic', authenticate, moderateInput('topic'), async (req, res) => {
   try {
-    const { userId, topic } = req.body;
-    if (!userId || !topic) return res.status(400).json({ error: "Missing fields" });
-
-    if (isUnsafe(topic)) return res.status(400).json({ error: "Topic violates safety guidelines." });
+    const userId = req.user.uid;
+    const { topic, subject } = req.body;
+    if (!topic) return res.status(400).json({ error: "Missing fields" });
 
-    const topicId = computeHash(topic.toLowerCase().trim());
+    const topicId = topicKeyFor(topic);
     const userRef = admin.firestore().collection('users').doc(userId);
     
     // Update User's Latest Topic
@@ -162,6 +165,7 @@ app.post('/storeTopic', async (req, res) => {
       latestTopic: {
         topicId,
         topicName: topic,
+        subject: subject || null, // Optional; tags the generated notes so subject teachers can review them
         storedAt: admin.firestore.FieldValue.serverTimestamp()
       }
     });
@@ -181,10 +185,9 @@ app.post('/storeTopic', async (req, res) => {
 });
 
 // B. Generate or Return Cached Notes
-app.get('/notes', async (req, res) => {
+app.get('/notes', authenticate, aiQuota, async (req, res) => {
   try {
-    const { userId } = req.query;
-    if (!userId) return res.status(400).json({ error: "User ID required" });
+    const userId = req.user.uid;
 
     // 1. Get User's Latest Topic
     const userSnap = await admin.firestore().collection('users').doc(userId).get();
@@ -195,54 +198,65 @@ app.get('/notes', async (req, res) => {
     }
 
     const topicName = latestTopic.topicName;
-    // Cache Key: Hash of topic + 'notes' + modelVersion
-    const cacheKey = computeHash(`${topicName}_notes_${MODEL_ID}`);
+    const subject = req.query.subject || latestTopic.subject || null;
+    const instituteId = req.user.instituteId || null;
 
-    // 2. Check Cache
+    // 2. Teacher-approved notes for the topic win over anything generated
+    const approved = await approvedNoteFor(instituteId, topicName);
+    if (approved) {
+      return res.json({ fromCache: true, approved: true, note: approved });
+    }
+
+    // Ground the notes in the institute's uploaded course material when any matches
+    const grounding = await groundingFor({ instituteId, subject, query: topicName });
+    const { systemPrompt, userPrompt, promptVersion } = renderPrompt('notes', { topic: topicName });
+    // Cache Key: Hash of topic + 'notes' + model/prompt versions + institute (+ the material excerpts used)
+    const cacheKey = computeHash(`${topicName}_notes_${MODEL_ID}_${promptVersion}_${instituteId}${grounding.fingerprint ? `_${grounding.fingerprint}` : ''}`);
+
+    // 3. Check Cache (flagged notes are regenerated)
     const noteRef = admin.firestore().collection('notes').doc(cacheKey);
     const noteSnap = await noteRef.get();
 
-    if (noteSnap.exists) {
-      return res.json({ fromCache: true, note: noteSnap.data() });
+    if (noteSnap.exists && noteSnap.data().reviewStatus !== 'flagged') {
+      return res.json({ fromCache: true, approved: false, note: { id: noteSnap.id, ...noteSnap.data() } });
     }
 
-    // 3. Generate via Groq
-    const systemPrompt = `You are an educational assistant for students aged 16-22. Produce concise, accurate study notes.`;
-    const userPrompt = `Generate short study notes for the topic: "${topicName}".
-    Constraints:
-    - Length: 200-350 words.
-    - Format: short intro, 3 bullet points (key ideas), 1 worked example, 2 practice questions.
-    - End with one-line summary.
-    Return ONLY the content string.`;
+    // 4. Generate via Groq
+    const generatedContent = await callGroqAI(systemPrompt, userPrompt + grounding.prompt, false, { user: req.user, route: 'notes' });
+    await assertSafe(generatedContent, { direction: 'output', user: req.user, route: 'notes' });
 
-    const generatedContent = await callGroqAI(systemPrompt, userPrompt, false);
-
-    // 4. Save to Firestore
+    // 5. Save to Firestore
     const noteData = {
       topicName,
+      topicKey: topicKeyFor(topicName),
+      subject,
+      instituteId,
       content: generatedContent,
       generatedAt: admin.firestore.FieldValue.serverTimestamp(),
       generatedForUserId: userId,
       prompt: userPrompt,
       modelVersion: MODEL_ID,
+      promptVersion,
+      sources: grounding.sources,
       hash: cacheKey
     };
 
-    await noteRef.set(noteData);
+    await saveGeneratedNote(noteRef, noteData);
 
-    res.json({ fromCache: false, note: noteData });
+    res.json({ fromCache: false, approved: false, note: { id: cacheKey, ...noteData, reviewStatus: 'unreviewed' } });
 
   } catch (err) {
     console.error("GetNotes Error:", err);
-    res.status(500).json({ error: "Failed to generate notes." });
+    return sendAIError(res, err);
   }
 });
 
 // C. Generate or Return Cached Quiz
-app.get('/quiz', async (req, res) => {
+// Difficulty and the easy/medium/hard mix come from the student's skill on the topic, not the client.
+app.get('/quiz', authenticate, aiQuota, async (req, res) => {
   try {
-    const { userId, numQuestions = 5, difficulty = 'medium' } = req.query;
-    if (!userId) return res.status(400).json({ error: "User ID required" });
+    const userId = req.user.uid;
+    const numQuestions = Math.min(Math.max(parseInt(req.query.numQuestions, 10) || 5, 1), 20);
 
     const userSnap = await admin.firestore().collection('users').doc(userId).get();
     const latestTopic = userSnap.data()?.latestTopic;
@@ -252,83 +266,77 @@ app.get('/quiz', async (req, res) => {
     }
 
     const topicName = latestTopic.topicName;
-    const cacheKey = computeHash(`${topicName}_quiz_${difficulty}_${numQuestions}_${MODEL_ID}`);
+    const subject = req.query.subject || latestTopic.subject || null;
+    const plan = await planQuiz(userId, topicName, numQuestions);
+    const grounding = await groundingFor({ instituteId: req.user.instituteId, subject, query: topicName });
+    const { systemPrompt, userPrompt, promptVersion } = renderPrompt('quiz', { topic: topicName, numQuestions, mix: plan.mix });
+    const mixKey = DIFFICULTIES.map(d => `${d}${plan.mix[d]}`).join('-');
+    const cacheKey = computeHash(`${topicName}_quiz_${mixKey}_${MODEL_ID}_${promptVersion}${grounding.fingerprint ? `_${grounding.fingerprint}` : ''}`);
 
-    // 2. Check Cache
-    const quizRef = admin.firestore().collection('quizzes').doc(cacheKey);
-    const quizSnap = await quizRef.get();
+    // 2. Check Cache (students at the same level share a quiz, but nobody is served one they already took)
+    const { quizId, variant, snap: quizSnap } = await nextQuizVariant(userId, topicName, cacheKey);
+    const quizRef = admin.firestore().collection('quizzes').doc(quizId);
 
     if (quizSnap.exists) {
-      return res.json({ fromCache: true, quiz: quizSnap.data() });
+      return res.json({ fromCache: true, quiz: publicQuiz(quizId, quizSnap.data()), mastery: plan.mastery });
     }
 
-    // 3. Generate via Groq
-    const systemPrompt = `You are a quiz generator. Return valid JSON only.`;
-    const userPrompt = `Create a ${numQuestions}-question quiz for topic: "${topicName}".
-    Constraints:
-    - Difficulty: ${difficulty}.
-    - Format: Multiple-choice (4 options).
-    - JSON Output Structure:
-    {
-      "quizTitle": "...",
-      "questions": [
-        { "question":"...","options":["...","...","...","..."], "correctIndex":0, "explanation":"..." }
-      ]
-    }`;
-
-    const quizJson = await callGroqAI(systemPrompt, userPrompt, true);
+    // 3. Generate via Groq (a retake variant asks for fresh questions)
+    const variantPrompt = variant > 0 ? `\nThis is alternate set #${variant + 1}: write different questions from the earlier sets.` : '';
+    const quizJson = await callGroqAI(systemPrompt, userPrompt + variantPrompt + grounding.prompt, true, { schema: AI_SCHEMAS.quiz, route: 'quiz', user: req.user });
+    await assertSafe(quizJson, { direction: 'output', user: req.user, route: 'quiz' });
 
     // 4. Save to Firestore
     const quizData = {
       topicName,
-      difficulty,
-      questions: quizJson.questions || [],
-      quizTitle: quizJson.quizTitle || `${topicName} Quiz`,
+      subject,
+      difficulty: plan.difficulty,
+      mix: plan.mix,
+      questions: quizJson.questions,
+      quizTitle: quizJson.quizTitle,
       generatedAt: admin.firestore.FieldValue.serverTimestamp(),
       generatedForUserId: userId,
-      prompt: userPrompt,
+      prompt: userPrompt + variantPrompt,
       modelVersion: MODEL_ID,
-      hash: cacheKey
+      promptVersion,
+      sources: grounding.sources,
+      hash: cacheKey,
+      variant
     };
 
     await quizRef.set(quizData);
 
-    res.json({ fromCache: false, quiz: quizData });
+    res.json({ fromCache: false, quiz: publicQuiz(quizId, quizData), mastery: plan.mastery });
 
   } catch (err) {
     console.error("GetQuiz Error:", err);
-    res.status(500).json({ error: "Failed to generate quiz." });
+    return sendAIError(res, err);
   }
 });
 
-// D. Quiz Attempt Recording
-app.post('/quizAttempt', async (req, res) => {
+// D. Quiz Attempt: { quizId, answers: [selectedIndex | null, ...] }, scored against the stored quiz.
+// Correct answers and explanations come back only now; only the first attempt counts for skill and XP.
+app.post('/quizAttempt', authenticate, async (req, res) => {
   try {
-    const { userId, quizId, answers, score } = req.body;
-    
-    if (!userId || !quizId) return res.status(400).json({ error: "Invalid data" });
-
-    const attemptData = {
-      quizId,
-      score,
-      answers: answers || [], // [{ questionIndex: 0, selectedIndex: 1, correct: false }]
-      timestamp: admin.firestore.FieldValue.serverTimestamp()
-    };
-
-    const docRef = await admin.firestore().collection('userProgress').doc(userId)
-                  .collection('attempts').add(attemptData);
-
-    // Optional: Update XP if score is good (Simple Gamification)
-    if (score > 60) {
-        const userRef = admin.firestore().collection('users').doc(userId);
-        await userRef.update({ xp: admin.firestore.FieldValue.increment(20) });
-    }
+    const { quizId, answers } = req.body;
+    if (!quizId) return res.status(400).json({ error: "Quiz ID is required" });
 
-    res.json({ ok: true, attemptId: docRef.id });
+    const result = await submitQuizAttempt(req.user, quizId, answers);
+    res.json({ ok: true, ...result });
 
   } catch (err) {
     console.error("QuizAttempt Error:", err);
-    res.status(500).json({ error: err.message });
+    return sendError(res, err);
+  }
+});
+
+// E. Mastery per Topic (weakest first)
+app.get('/skills', authenticate, async (req, res) => {
+  try {
+    res.json({ skills: await listSkills(req.user.uid) });
+  } catch (err) {
+    console.error("Skills Error:", err);
+    return sendError(res, err);
   }
 });
 
@@ -339,168 +347,396 @@ app.post('/quizAttempt', async (req, res) => {
 app.get('/health', (req, res) => res.json({ status: 'ok', demoMode: DEMO_MODE }));
 
 // 1. Create User
-app.post('/createUser', async (req, res) => {
+app.post('/createUser', authorize(ADMIN_ROLES, { institute: instituteFromRequest() }), async (req, res) => {
   try {
-    const { email, password, firstName, lastName, role, instituteId, instituteName, department, subject, rollNo, qualification, extras = {} } = req.body;
-    const userRecord = await admin.auth().createUser({ email, password, displayName: `${firstName} ${lastName}` });
-    const userDoc = { 
-        uid: userRecord.uid, email, role, firstName, lastName, instituteId, instituteName, 
-        department: department || null, subject: subject || null, rollNo: rollNo || null, qualification: qualification || null,
-        xp: 0, badges: [], 
-        createdAt: admin.firestore.FieldValue.serverTimestamp(), ...extras 
-    };
-    await admin.firestore().collection('users').doc(userRecord.uid).set(userDoc);
-    await admin.auth().setCustomUserClaims(userRecord.uid, { role, instituteId });
-    return res.json({ message: 'User created successfully', uid: userRecord.uid });
+    const { email, password, firstName, lastName, role, instituteName, department, subject, rollNo, qualification, extras = {} } = req.body;
+    const instituteId = req.body.instituteId || req.user.instituteId;
+    if (!Object.values(ROLES).includes(role)) return res.status(400).json({ error: 'Invalid role' });
+    // Only the super admin can mint other admins
+    if (req.user.role !== ROLES.SUPER_ADMIN && ADMIN_ROLES.includes(role)) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action.' });
+    }
+    const uid = await createUserAccount({ email, password, firstName, lastName, role, instituteId, instituteName, department, subject, rollNo, qualification, extras });
+    return res.json({ message: 'User created successfully', uid });
   } catch (err) { return res.status(500).json({ error: err.message }); }
 });
 
-// Route 2: Mark Attendance
-app.post('/markAttendance', async (req, res) => {
+// 1a. Bulk Roster Import (CSV/XLSX) - dry run by default, pass dryRun=false to apply
+app.post('/importRoster', authorize(ADMIN_ROLES), upload.single('file'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    const dryRun = req.body.dryRun !== 'false';
+    const instituteId = req.body.instituteId || req.user.instituteId;
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+    if (!instituteId) return res.status(400).json({ error: 'Missing Institute ID' });
+    if (req.user.role !== ROLES.SUPER_ADMIN && instituteId !== req.user.instituteId) {
+      return res.status(403).json({ error: 'Target belongs to another institute.' });
+    }
+
+    const rows = await parseRosterFile(req.file.buffer, req.file.originalname);
+    const validated = await validateRoster(rows, { role, instituteId });
+
+    if (dryRun) {
+      const report = validated.map(({ row, data, action, errors }) => ({ row, email: data.email || '', action, errors }));
+      const invalid = report.filter(r => r.errors.length > 0).length;
+      return res.json({ dryRun: true, summary: { ...summarize(report, 'action'), invalid }, rows: report });
+    }
+
+    const instituteSnap = await admin.firestore().collection('institutes').doc(instituteId).get();
+    const instituteName = req.body.instituteName || instituteSnap.data()?.instituteName || instituteSnap.data()?.name || null;
+
+    const results = await importRoster(validated, { role, instituteId, instituteName });
+    const summary = summarize(results, 'status');
+
+    const importRef = await admin.firestore().collection('roster_imports').add({
+      instituteId,
+      role,
+      fileName: req.file.originalname,
+      importedBy: req.user.uid,
+      summary,
+      results,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return res.json({ dryRun: false, importId: importRef.id, summary, resultUrl: `/rosterImports/${importRef.id}/result` });
+  } catch (err) {
+    console.error("Roster Import Error:", err);
+    return sendError(res, err);
+  }
+});
+
+// 1b. Download Roster Import Result (?format=csv|xlsx)
+app.get('/rosterImports/:importId/result', authorize(ADMIN_ROLES), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization || '';
-    const token = authHeader.split('Bearer ')[1];
-    if (!token) return res.status(401).json({ error: 'Missing token' });
-
-    const decoded = await admin.auth().verifyIdToken(token);
-    const studentUid = decoded.uid;
-    const { sessionId, studentLocation } = req.body;
-
-    // Dynamic QR Check
-    const [realSessionId, timestamp] = sessionId.split('|');
-    if (!realSessionId) return res.status(400).json({ error: 'Invalid QR Code' });
-
-    if (timestamp) {
-        const qrTime = parseInt(timestamp);
-        const timeDiff = (Date.now() - qrTime) / 1000;
-        if (timeDiff > 15) return res.status(400).json({ error: 'QR Code Expired!' });
+    const snap = await admin.firestore().collection('roster_imports').doc(req.params.importId).get();
+    if (!snap.exists) return res.status(404).json({ error: 'Import not found' });
+    const importData = snap.data();
+    if (req.user.role !== ROLES.SUPER_ADMIN && importData.instituteId !== req.user.instituteId) {
+      return res.status(403).json({ error: 'Target belongs to another institute.' });
     }
 
+    const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+    const file = await buildResultFile(importData.results || [], format);
+    res.setHeader('Content-Disposition', `attachment; filename="roster-import-${snap.id}.${format}"`);
+    res.type(format === 'xlsx' ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' : 'text/csv');
+    return res.send(file);
+  } catch (err) {
+    console.error("Roster Result Error:", err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Route 2: Mark Attendance
+app.post('/markAttendance', authorize([ROLES.STUDENT]), async (req, res) => {
+  try {
+    const studentUid = req.user.uid;
+    // Scanned QR payload (older clients send it as `sessionId`)
+    const qrToken = req.body.qrToken || req.body.sessionId;
+    const { studentLocation, deviceId } = req.body;
+    const deviceHash = hashDevice(deviceId);
+    const locKey = locationKey(studentLocation);
+
+    // Signed QR Check
+    const claims = verifyQrToken(qrToken);
+    const realSessionId = claims.sid;
+
     const sessionRef = admin.firestore().collection('live_sessions').doc(realSessionId);
     const sessionSnap = await sessionRef.get();
     if (!sessionSnap.exists || !sessionSnap.data().isActive) return res.status(404).json({ error: 'Session not active' });
 
     const session = sessionSnap.data();
-    
-    // Geo-Location Check
-    if (!DEMO_MODE) {
-        if (!session.location || !studentLocation) return res.status(400).json({ error: 'Location data missing' });
-        const dist = getDistance(session.location.latitude, session.location.longitude, studentLocation.latitude, studentLocation.longitude);
-        if (dist > ACCEPTABLE_RADIUS_METERS) return res.status(403).json({ error: `Too far! You are ${Math.round(dist)}m away.` });
+    if (isExpired(session)) {
+        await endLiveSession(realSessionId, { reason: 'expired' });
+        return res.status(404).json({ error: 'Session not active' });
     }
+    if (session.isPaused) return res.status(423).json({ error: 'Session is paused by the teacher.', code: 'SESSION_PAUSED' });
+    assertCurrentSequence(claims, session);
+    if (session.instituteId && session.instituteId !== req.user.instituteId) {
+        throw httpError(403, 'This session belongs to another institute.', QR_ERRORS.SESSION_MISMATCH);
+    }
+    
+    // Geo-Location Check (room geofence + institute attendance policy)
+    await verifyAttendanceLocation({ sessionId: realSessionId, session, studentId: studentUid, studentLocation });
 
     const userRef = admin.firestore().collection('users').doc(studentUid); // Reference to student
     const userDoc = await userRef.get();
     const studentData = userDoc.data();
 
-    // 1. Create the "Receipt" (Log Entry)
-    await admin.firestore().collection('attendance').doc(`${realSessionId}_${studentUid}`).set({
-      sessionId: realSessionId,
-      subject: session.subject || 'Class',
-      studentId: studentUid,
-      studentEmail: studentData.email,
-      firstName: studentData.firstName,
-      lastName: studentData.lastName,
-      rollNo: studentData.rollNo,
-      instituteId: studentData.instituteId,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      status: 'Present'
-    });
+    // 1. Create the "Receipt" (Log Entry) - create() fails if this student already scanned
+    try {
+      await admin.firestore().collection('attendance').doc(`${realSessionId}_${studentUid}`).create({
+        sessionId: realSessionId,
+        subject: session.subject || 'Class',
+        studentId: studentUid,
+        studentEmail: studentData.email,
+        firstName: studentData.firstName,
+        lastName: studentData.lastName,
+        rollNo: studentData.rollNo,
+        instituteId: studentData.instituteId,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        qrSeq: claims.seq,
+        deviceHash,
+        location: studentLocation || null,
+        locationKey: locKey,
+        status: 'Present'
+      });
+    } catch (err) {
+      if (err.code === 6) return res.status(409).json({ error: 'Attendance already marked for this session.', code: 'ALREADY_MARKED' }); // ALREADY_EXISTS
+      throw err;
+    }
 
     // 2. UPDATE THE SCOREBOARD (Increment Count)
     await userRef.update({
         attendanceCount: admin.firestore.FieldValue.increment(1)
     });
 
+    // 3. Proxy checks only raise flags for teacher review, they never block the student
+    detectProxyAttendance({ sessionId: realSessionId, session, studentId: studentUid, deviceHash, locationKey: locKey })
+        .catch(err => console.error("Proxy Detection Error:", err));
+
     return res.json({ message: 'Attendance Marked Successfully!' });
 
   } catch (err) {
     console.error(err);
-    return res.status(500).json({ error: err.message });
+    return sendError(res, err);
+  }
+});
+
+// 2a. Rotate Session QR (Teacher screen polls this every `refreshInSeconds`)
+app.post('/rotateSessionQR', authorize(STAFF_ROLES, { institute: instituteOfDoc('live_sessions', 'sessionId') }), async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    if (!sessionId) return res.status(400).json({ error: 'Missing Session ID' });
+
+    const sessionRef = admin.firestore().collection('live_sessions').doc(sessionId);
+    const seq = await admin.firestore().runTransaction(async (t) => {
+      const snap = await t.get(sessionRef);
+      if (!snap.exists || !snap.data().isActive) throw httpError(404, 'Session not active');
+      const session = snap.data();
+      assertCanManageSession(session, req.user);
+      if (session.isPaused) throw httpError(423, 'Session is paused', 'SESSION_PAUSED');
+      const nextSeq = (session.qrSeq || 0) + 1;
+      t.update(sessionRef, { qrSeq: nextSeq, qrRotatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      return nextSeq;
+    });
+
+    const { token, expiresAt } = issueQrToken(sessionId, seq);
+    return res.json({ qrToken: token, expiresAt, refreshInSeconds: QR_ROTATE_SECONDS });
+  } catch (err) {
+    console.error("Rotate QR Error:", err);
+    return sendError(res, err);
   }
 });
 
 // 3. AI Chatbot (Groq)
-app.post('/chat', async (req, res) => {
+// Multi-turn: pass the `threadId` from a previous reply to continue; omit it to start a new thread.
+// The coach's context (profile, topic, quiz scores, assignments, matching course material) is built server-side.
+app.post('/chat', authenticate, aiQuota, moderateInput('message'), async (req, res) => {
+    try {
+        const { message, threadId, subject } = req.body;
+        const result = await sendChatMessage(req.user, threadId, message, { subject });
+        res.json({ ...result, fromCache: false });
+    } catch (error) {
+        console.error("Chat Error:", error);
+        return sendAIError(res, error);
+    }
+});
+
+// Characters re-checked against the term lists as each streamed token arrives
+const STREAM_CHECK_CHARS = 300;
+
+// 3a. AI Chatbot, streamed as Server-Sent Events
+// Events: `token` { text } as the reply is generated, then `done` { reply, threadId, messageId, sources } or `error` { error, code }.
+// Closing the connection cancels generation; whatever was produced is still saved to the thread.
+// A reply that trips the content filter is cut off with an `error` event (code OUTPUT_BLOCKED): discard the tokens shown so far.
+app.post('/chat/stream', authenticate, aiQuota, moderateInput('message'), async (req, res) => {
+    const { message, threadId, subject } = req.body;
+    let turn;
+    let checkReply;
     try {
-        const { message, userContext } = req.body;
-        const apiKey = process.env.GROQ_API_KEY;
-        if (!apiKey) return res.status(500).json({ reply: "Server Error: API Key missing." });
-
-        const systemPrompt = `You are 'AcadeX Coach' for ${userContext.firstName}.`;
-        const response = await fetch("https://api.groq.com/openai/v1/chat/completions", {
-            method: "POST",
-            headers: { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json" },
-            body: JSON.stringify({ messages: [{ role: "system", content: systemPrompt }, { role: "user", content: message }], model: "llama-3.3-70b-versatile" })
+        turn = await prepareTurn(req.user, threadId, message, { subject });
+        checkReply = await streamCheck(req.user);
+    } catch (err) {
+        return sendAIError(res, err);
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop nginx-style proxies from buffering the stream
+    });
+    res.flushHeaders();
+    const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    const controller = new AbortController();
+    res.on('close', () => { if (!res.writableEnded) controller.abort(); });
+
+    let reply = "";
+    let failure = null;
+    let filtered = false;
+    try {
+        const result = await streamGroqAI(turn.systemPrompt, message, {
+            user: req.user,
+            route: 'chat/stream',
+            history: turn.history,
+            signal: controller.signal,
+            onToken: (text) => {
+                if (filtered) return;
+                reply += text;
+                // Only the tail can hold a term the new token completes
+                if (checkReply(reply.slice(-STREAM_CHECK_CHARS))) {
+                    filtered = true;
+                    return controller.abort();
+                }
+                sendEvent('token', { text });
+            }
         });
-        const data = await response.json();
-        res.json({ reply: data.choices?.[0]?.message?.content || "No response." });
-    } catch (error) { res.status(500).json({ reply: "Brain buffering..." }); }
+        reply = result.content;
+    } catch (err) {
+        failure = err;
+        if (err.code !== 'AI_CANCELLED') console.error("Chat Stream Error:", err);
+    }
+
+    const cancelled = controller.signal.aborted && !filtered;
+    if (reply && !cancelled && (filtered || !failure)) {
+        try {
+            await assertSafe(reply, { direction: 'output', user: req.user, route: 'chat/stream' });
+        } catch (err) {
+            failure = err;
+            filtered = true;
+        }
+    }
+
+    let messageId = null;
+    if (reply && !filtered) {
+        try {
+            messageId = await recordTurn(turn, message, reply, cancelled ? 'cancelled' : (failure ? 'failed' : 'complete'));
+        } catch (err) {
+            console.error("Chat Log Error:", err);
+        }
+    }
+
+    if (cancelled) return;
+    if (failure) sendEvent('error', filtered ? { error: failure.message, code: failure.code, ...failure.details } : describeAIError(failure).body);
+    else sendEvent('done', { reply, threadId: turn.threadId, messageId, sources: turn.sources });
+    res.end();
+});
+
+// 3b. List Chat Threads (most recently active first)
+app.get('/chat/threads', authenticate, async (req, res) => {
+    try {
+        const threads = await listThreads(req.user.uid);
+        return res.json({ threads });
+    } catch (err) {
+        console.error("List Threads Error:", err);
+        return sendError(res, err);
+    }
+});
+
+// 3c. Thread Messages (`?before=<seq>&limit=50` to page back)
+app.get('/chat/threads/:threadId/messages', authenticate, async (req, res) => {
+    try {
+        const result = await getThreadMessages(req.user.uid, req.params.threadId, req.query);
+        return res.json(result);
+    } catch (err) {
+        console.error("Thread Messages Error:", err);
+        return sendError(res, err);
+    }
+});
+
+// 3d. Rename Thread
+app.patch('/chat/threads/:threadId', authenticate, async (req, res) => {
+    try {
+        await renameThread(req.user.uid, req.params.threadId, req.body.title);
+        return res.json({ success: true });
+    } catch (err) {
+        console.error("Rename Thread Error:", err);
+        return sendError(res, err);
+    }
+});
+
+// 3e. Delete Thread (and its messages)
+app.delete('/chat/threads/:threadId', authenticate, async (req, res) => {
+    try {
+        await deleteThread(req.user.uid, req.params.threadId);
+        return res.json({ success: true });
+    } catch (err) {
+        console.error("Delete Thread Error:", err);
+        return sendError(res, err);
+    }
 });
 
 // 4. Generate Notes
-app.post('/generateNotes', async (req, res) => {
+app.post('/generateNotes', authenticate, aiQuota, moderateInput('topic'), async (req, res) => {
   try {
-    const { topic, department, level } = req.body;
-    const apiKey = process.env.GROQ_API_KEY;
-    const systemPrompt = `Create structured notes on: ${topic}. Level: ${level}. Use Markdown.`;
-    const response = await fetch("https://api.groq.com/openai/v1/chat/completions", {
-      method: "POST", headers: { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json" },
-      body: JSON.stringify({ messages: [{ role: "system", content: systemPrompt }], model: "llama-3.3-70b-versatile" })
+    const { topic, level, subject } = req.body;
+    if (!topic) return res.status(400).json({ error: "Topic is required" });
+
+    const grounding = await groundingFor({ instituteId: req.user.instituteId, subject, query: topic });
+    const { systemPrompt, userPrompt, promptVersion } = renderPrompt('generateNotes', { topic, level });
+    const { result, fromCache } = await cachedAICall({
+      route: 'generateNotes',
+      inputs: { topic, level, sources: grounding.fingerprint },
+      systemPrompt,
+      userPrompt: userPrompt + grounding.prompt,
+      promptVersion,
+      user: req.user
     });
-    const data = await response.json();
-    res.json({ notes: data.choices?.[0]?.message?.content || "Failed." });
-  } catch (err) { res.status(500).json({ error: 'Failed.' }); }
+    res.json({ notes: result, sources: grounding.sources, fromCache });
+  } catch (err) {
+    console.error("Generate Notes Error:", err);
+    return sendAIError(res, err);
+  }
 });
 
 // 5. Generate MCQs
-app.post('/generateMCQs', async (req, res) => {
+app.post('/generateMCQs', authenticate, aiQuota, moderateInput('topic'), async (req, res) => {
   try {
-    const { topic, count, department } = req.body;
-    const apiKey = process.env.GROQ_API_KEY;
-    const systemPrompt = `Create ${count} MCQs on "${topic}". Output strict JSON format: { "mcqs": [{ "q": "...", "options": ["A", "B", "C", "D"], "answerIndex": 0, "explanation": "..." }] }`;
-    const response = await fetch("https://api.groq.com/openai/v1/chat/completions", {
-      method: "POST", headers: { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json" },
-      body: JSON.stringify({ messages: [{ role: "system", content: systemPrompt }], model: "llama-3.3-70b-versatile", response_format: { type: "json_object" } })
+    const { topic, count = 5 } = req.body;
+    if (!topic) return res.status(400).json({ error: "Topic is required" });
+
+    const mcqCount = Math.min(Math.max(parseInt(count, 10) || 5, 1), 30);
+    const { systemPrompt, userPrompt, promptVersion } = renderPrompt('generateMCQs', { topic, count: mcqCount });
+    const { result, fromCache } = await cachedAICall({
+      route: 'generateMCQs',
+      inputs: { topic, count: mcqCount },
+      systemPrompt,
+      userPrompt,
+      promptVersion,
+      jsonMode: true,
+      options: { schema: AI_SCHEMAS.mcqs },
+      user: req.user
     });
-    const data = await response.json();
-    const cleanJson = data.choices[0].message.content.replace(/```json|```/g, '').trim();
-    res.json(JSON.parse(cleanJson));
-  } catch (err) { res.status(500).json({ error: 'Failed.' }); }
-});
-
-// 6. Complete Task
-app.post('/completeTask', async (req, res) => {
-  try {
-    const { uid } = req.body;
-    if (!uid) return res.status(400).json({ error: 'UID missing' });
-    const userRef = admin.firestore().collection('users').doc(uid);
-    const userSnap = await userRef.get();
-    const userData = userSnap.data();
-    const now = admin.firestore.Timestamp.now();
-    const lastTime = userData.lastTaskTime;
-    if (lastTime && (now.toMillis() - lastTime.toMillis()) / (1000 * 60) < 15) return res.status(429).json({ error: `Wait a few minutes!` });
-    const newXp = (userData.xp || 0) + 50;
-    await userRef.update({ xp: newXp, lastTaskTime: now });
-    const newBadges = await checkAndAwardBadges(userRef, newXp, userData.badges);
-    return res.json({ message: 'Task Verified! +50 XP', newBadges });
-  } catch (err) { return res.status(500).json({ error: err.message }); }
+    res.json({ ...result, fromCache });
+  } catch (err) {
+    console.error("Generate MCQs Error:", err);
+    return sendAIError(res, err);
+  }
 });
 
 // 7. Generate Roadmap
-app.post('/generateRoadmap', async (req, res) => {
+app.post('/generateRoadmap', authenticate, aiQuota, moderateInput('goal'), async (req, res) => {
     try {
-        const { goal, department } = req.body;
-        const apiKey = process.env.GROQ_API_KEY;
-        const systemPrompt = `Create 4-Week Roadmap for ${goal}. Output JSON: { "weeks": [{ "week": 1, "theme": "...", "topics": ["..."] }] }`;
-        const response = await fetch("https://api.groq.com/openai/v1/chat/completions", {
-            method: "POST", headers: { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json" },
-            body: JSON.stringify({ messages: [{ role: "system", content: systemPrompt }], model: "llama-3.3-70b-versatile", response_format: { type: "json_object" } })
+        const { goal } = req.body;
+        if (!goal) return res.status(400).json({ error: "Goal is required" });
+
+        const { systemPrompt, userPrompt, promptVersion } = renderPrompt('generateRoadmap', { goal });
+        const { result, fromCache } = await cachedAICall({
+            route: 'generateRoadmap',
+            inputs: { goal },
+            systemPrompt,
+            userPrompt,
+            promptVersion,
+            jsonMode: true,
+            options: { schema: AI_SCHEMAS.roadmap },
+            user: req.user
         });
-        const data = await response.json();
-        const cleanJson = data.choices[0].message.content.replace(/```json|```/g, '').trim();
-        res.json({ roadmap: JSON.parse(cleanJson) });
-    } catch (error) { res.status(500).json({ error: "Failed" }); }
+        res.json({ roadmap: result, fromCache });
+    } catch (error) {
+        console.error("Roadmap Error:", error);
+        return sendAIError(res, error);
+    }
 });
 
 // 8. Submit Application ( HANDLES CLOUDINARY UPLOAD)
@@ -542,7 +778,7 @@ app.post('/submitApplication', upload.single('document'), async (req, res) => {
 });
 
 // 9. Delete Users (Batch)
-app.post('/deleteUsers', async (req, res) => {
+app.post('/deleteUsers', authorize(ADMIN_ROLES, { institute: instituteOfUsers('userIds') }), async (req, res) => {
   try {
     const { userIds } = req.body;
     if (!userIds || userIds.length === 0) return res.status(400).json({ error: 'No users selected' });
@@ -555,9 +791,10 @@ app.post('/deleteUsers', async (req, res) => {
 });
 
 // 10. Delete Department
-app.post('/deleteDepartment', async (req, res) => {
+app.post('/deleteDepartment', authorize(ADMIN_ROLES, { institute: instituteOfDoc('departments', 'deptId') }), async (req, res) => {
   try {
     const { deptId } = req.body;
+    if (!deptId) return res.status(400).json({ error: 'Missing Department ID' });
     await admin.firestore().collection('departments').doc(deptId).delete();
     return res.json({ message: 'Deleted.' });
   } catch (err) { return res.status(500).json({ error: err.message }); }
@@ -573,10 +810,52 @@ app.post('/submitStudentRequest', async (req, res) => {
     } catch (err) { return res.status(500).json({ error: err.message }); }
 });
 
+// 11a. Approve Student Request (Institute Admin)
+app.post('/approveStudentRequest', authorize(ADMIN_ROLES), async (req, res) => {
+    try {
+        const { requestId, reason } = req.body;
+        if (!requestId) return res.status(400).json({ error: 'Missing Request ID' });
+        const result = await approveStudentRequest(requestId, req.user, reason);
+        return res.json({ message: 'Student approved. Account created.', ...result });
+    } catch (err) {
+        console.error("Approve Request Error:", err);
+        return sendError(res, err);
+    }
+});
+
+// 11b. Deny Student Request (Institute Admin)
+app.post('/denyStudentRequest', authorize(ADMIN_ROLES), async (req, res) => {
+    try {
+        const { requestId, reason } = req.body;
+        if (!requestId) return res.status(400).json({ error: 'Missing Request ID' });
+        const result = await denyStudentRequest(requestId, req.user, reason);
+        return res.json({ message: 'Student request denied.', ...result });
+    } catch (err) {
+        console.error("Deny Request Error:", err);
+        return sendError(res, err);
+    }
+});
+
+// 11c. Bulk Approve Student Requests (by IDs or department/year/semester filter)
+app.post('/bulkApproveStudentRequests', authorize(ADMIN_ROLES, { institute: instituteFromRequest() }), async (req, res) => {
+    try {
+        const { requestIds, department, year, semester, reason } = req.body;
+        const instituteId = req.body.instituteId || req.user.instituteId;
+        if (!instituteId) return res.status(400).json({ error: 'Missing Institute ID' });
+
+        const result = await bulkApproveStudentRequests(instituteId, { requestIds, department, year, semester }, req.user, reason);
+        return res.json({ message: `Approved ${result.approved.length}, failed ${result.failed.length}.`, ...result });
+    } catch (err) {
+        console.error("Bulk Approve Error:", err);
+        return sendError(res, err);
+    }
+});
+
 // 12. Request Leave ( UPDATED TO SUPPORT FILE UPLOAD)
-app.post('/requestLeave', upload.single('document'), async (req, res) => {
+app.post('/requestLeave', authorize([ROLES.STUDENT]), upload.single('document'), async (req, res) => {
   try {
-    const { uid, name, rollNo, department, reason, fromDate, toDate, instituteId } = req.body;
+    const { uid, instituteId } = req.user;
+    const { name, rollNo, department, reason, fromDate, toDate } = req.body;
     const file = req.file;
     let documentUrl = null;
 
@@ -612,37 +891,112 @@ app.post('/requestLeave', upload.single('document'), async (req, res) => {
 });
 
 // 13. Action Leave
-app.post('/actionLeave', async (req, res) => {
+app.post('/actionLeave', authorize(STAFF_ROLES, { institute: instituteOfDoc('leave_requests', 'leaveId') }), async (req, res) => {
   try {
     const { leaveId, status } = req.body; 
-    await admin.firestore().collection('leave_requests').doc(leaveId).update({ status });
-    return res.json({ message: `Leave request ${status}.` });
+    if (!leaveId) return res.status(400).json({ error: 'Missing Leave ID' });
+    const leaveRef = admin.firestore().collection('leave_requests').doc(leaveId);
+    const leaveSnap = await leaveRef.get();
+    if (!leaveSnap.exists) return res.status(404).json({ error: 'Leave request not found' });
+    const leave = leaveSnap.data();
+    const isApproved = status === LEAVE_APPROVED;
+
+    // Approved leave excuses the sessions it covers; revoking the approval undoes that. The status
+    // is saved with `excusalPending` first, so if the excusal step fails, repeating the action finishes it.
+    const needsExcusals = isApproved !== (leave.status === LEAVE_APPROVED) || Boolean(leave.excusalPending);
+    await leaveRef.update({
+      status,
+      actionedBy: req.user.uid,
+      actionedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...(needsExcusals ? { excusalPending: true } : {})
+    });
+
+    let excused = 0;
+    let reverted = 0;
+    if (needsExcusals) {
+      if (isApproved) excused = await applyLeaveExcusals(leaveId);
+      else reverted = await revokeLeaveExcusals(leaveId);
+      await leaveRef.update({ excusalPending: admin.firestore.FieldValue.delete() });
+    }
+
+    return res.json({ message: `Leave request ${status}.`, excusedSessions: excused, revertedSessions: reverted });
   } catch (err) { return res.status(500).json({ error: err.message }); }
 });
 
 // 14. End Session
-app.post('/endSession', async (req, res) => {
+app.post('/endSession', authorize(STAFF_ROLES, { institute: instituteOfDoc('live_sessions', 'sessionId') }), async (req, res) => {
   try {
     const { sessionId } = req.body;
-    const sessionRef = admin.firestore().collection('live_sessions').doc(sessionId);
-    const sessionSnap = await sessionRef.get();
+    if (!sessionId) return res.status(400).json({ error: 'Missing Session ID' });
+    const sessionSnap = await admin.firestore().collection('live_sessions').doc(sessionId).get();
     if (!sessionSnap.exists) return res.status(404).json({ error: "Session not found" });
-    if (sessionSnap.data().isActive) {
-        await sessionRef.update({ isActive: false });
-        const { instituteId, department } = sessionSnap.data();
-        if (instituteId && department) {
-            const statsRef = admin.firestore().collection('department_stats').doc(`${instituteId}_${department}`);
-            await statsRef.set({ totalClasses: admin.firestore.FieldValue.increment(1), instituteId, department }, { merge: true });
-        }
-    }
+    assertCanManageSession(sessionSnap.data(), req.user);
+    await endLiveSession(sessionId, { reason: 'ended', endedBy: req.user.uid });
     return res.json({ message: "Session Ended." });
-  } catch (err) { return res.status(500).json({ error: err.message }); }
+  } catch (err) { return sendError(res, err); }
+});
+
+// 14a. Start Session (Teacher) - replaces sessions written directly by the frontend
+// Pass `slotId` to open a timetabled class; subject, class and room then come from the slot.
+app.post('/startSession', authorize([ROLES.TEACHER, ROLES.HOD]), async (req, res) => {
+  try {
+    let { subject, location, department, year, semester, durationMinutes } = req.body;
+    let extra = {};
+    if (req.body.slotId) {
+      const details = await slotSessionDetails(req.body.slotId, req.user.uid);
+      ({ department, year, semester } = details.slot);
+      subject = details.slot.subjectName;
+      location = location || details.location;
+      extra = details.extra;
+    } else if (req.body.roomId) {
+      const roomSnap = await admin.firestore().collection('rooms').doc(req.body.roomId).get();
+      if (!roomSnap.exists || roomSnap.data().instituteId !== req.user.instituteId) return res.status(404).json({ error: 'Room not found' });
+      location = location || roomSnap.data().location || null;
+      extra = { roomId: req.body.roomId };
+    }
+    const result = await startLiveSession({ teacherId: req.user.uid, subject, location, department, year, semester, durationMinutes, extra });
+    return res.json({ message: 'Session Started.', ...result });
+  } catch (err) {
+    console.error("Start Session Error:", err);
+    return sendError(res, err);
+  }
+});
+
+// 14b. Pause Session
+app.post('/pauseSession', authorize(STAFF_ROLES), async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    if (!sessionId) return res.status(400).json({ error: 'Missing Session ID' });
+    await pauseLiveSession(sessionId, req.user);
+    return res.json({ message: 'Session Paused.' });
+  } catch (err) { return sendError(res, err); }
+});
+
+// 14c. Resume Session
+app.post('/resumeSession', authorize(STAFF_ROLES), async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    if (!sessionId) return res.status(400).json({ error: 'Missing Session ID' });
+    const expiresAt = await resumeLiveSession(sessionId, req.user);
+    return res.json({ message: 'Session Resumed.', expiresAt });
+  } catch (err) { return sendError(res, err); }
+});
+
+// 14d. Extend Session
+app.post('/extendSession', authorize(STAFF_ROLES), async (req, res) => {
+  try {
+    const { sessionId, minutes } = req.body;
+    if (!sessionId) return res.status(400).json({ error: 'Missing Session ID' });
+    const expiresAt = await extendLiveSession(sessionId, req.user, minutes);
+    return res.json({ message: `Session extended by ${minutes} min.`, expiresAt });
+  } catch (err) { return sendError(res, err); }
 });
 
 // 15. Get Analytics
-app.post('/getAttendanceAnalytics', async (req, res) => {
+app.post('/getAttendanceAnalytics', authorize(STAFF_ROLES, { institute: instituteFromRequest() }), async (req, res) => {
     try {
-        const { instituteId, subject } = req.body;
+        const instituteId = req.body.instituteId || req.user.instituteId;
+        const { subject } = req.body;
         const now = new Date();
         const sevenDaysAgo = new Date();
         sevenDaysAgo.setDate(now.getDate() - 7);
@@ -655,8 +1009,163 @@ app.post('/getAttendanceAnalytics', async (req, res) => {
     } catch (err) { return res.status(500).json({ error: "Failed" }); }
 });
 
+// 15a. Attendance Report (per-student %, defaulters; format: json | csv | pdf)
+app.post('/getAttendanceReport', authorize(STAFF_ROLES, { institute: instituteFromRequest() }), async (req, res) => {
+    try {
+        const instituteId = req.body.instituteId || req.user.instituteId;
+        const { subject, department, from, to, threshold, format = 'json' } = req.body;
+
+        const report = await buildAttendanceReport({ instituteId, subject, department, from, to, threshold });
+        const fileName = `attendance-${subject}-${report.from.slice(0, 10)}_${report.to.slice(0, 10)}`.replace(/[^\w.-]+/g, '_');
+
+        if (format === 'csv') {
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+            return res.type('text/csv').send(reportToCsv(report));
+        }
+        if (format === 'pdf') {
+            const pdf = await reportToPdf(report);
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+            return res.type('application/pdf').send(pdf);
+        }
+        return res.json({ report });
+    } catch (err) {
+        console.error("Attendance Report Error:", err);
+        return sendError(res, err);
+    }
+});
+
+// 15b. Correct Attendance (Teacher) - reason is mandatory, history is kept on the record
+app.post('/correctAttendance', authorize(STAFF_ROLES), async (req, res) => {
+    try {
+        const { sessionId, studentId, status, reason } = req.body;
+        const result = await correctAttendance({ sessionId, studentId, status, reason, corrector: req.user });
+        return res.json({ message: `Attendance changed from ${result.from} to ${result.to}.`, ...result });
+    } catch (err) {
+        console.error("Correct Attendance Error:", err);
+        return sendError(res, err);
+    }
+});
+
+// 15c. Get Attendance Record with correction history
+app.post('/getAttendanceRecord', authenticate, async (req, res) => {
+    try {
+        const { sessionId } = req.body;
+        // Students can only look at their own record
+        const studentId = req.user.role === ROLES.STUDENT ? req.user.uid : req.body.studentId;
+        if (!sessionId || !studentId) return res.status(400).json({ error: 'Session ID and Student ID are required' });
+
+        const snap = await admin.firestore().collection('attendance').doc(`${sessionId}_${studentId}`).get();
+        if (!snap.exists) return res.json({ record: null, status: 'Absent' });
+        const record = snap.data();
+        if (req.user.role !== ROLES.SUPER_ADMIN && record.instituteId !== req.user.instituteId) {
+            return res.status(403).json({ error: 'Target belongs to another institute.' });
+        }
+        return res.json({ record, status: record.status });
+    } catch (err) { return res.status(500).json({ error: err.message }); }
+});
+
+// 15d. Raise Attendance Dispute (Student)
+app.post('/raiseAttendanceDispute', authorize([ROLES.STUDENT]), async (req, res) => {
+    try {
+        const { sessionId, reason, requestedStatus } = req.body;
+        const disputeId = await raiseDispute({ sessionId, student: req.user, reason, requestedStatus });
+        return res.json({ message: 'Dispute sent to your teacher.', disputeId });
+    } catch (err) {
+        console.error("Raise Dispute Error:", err);
+        return sendError(res, err);
+    }
+});
+
+// 15e. Get Attendance Disputes (Teachers see their own sessions, HOD/Admin the whole institute)
+app.post('/getAttendanceDisputes', authorize(STAFF_ROLES), async (req, res) => {
+    try {
+        const { status = 'pending' } = req.body;
+        let query = admin.firestore().collection('attendance_disputes')
+            .where('instituteId', '==', req.user.instituteId)
+            .where('status', '==', status);
+        if (req.user.role === ROLES.TEACHER) query = query.where('teacherId', '==', req.user.uid);
+
+        const snapshot = await query.get();
+        const disputes = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        return res.json({ disputes });
+    } catch (err) { return res.status(500).json({ error: err.message }); }
+});
+
+// 15f. Resolve Attendance Dispute (accept applies the correction)
+app.post('/resolveAttendanceDispute', authorize(STAFF_ROLES, { institute: instituteOfDoc('attendance_disputes', 'disputeId') }), async (req, res) => {
+    try {
+        const { disputeId, decision, note } = req.body;
+        if (!disputeId) return res.status(400).json({ error: 'Missing Dispute ID' });
+        await resolveDispute(disputeId, decision, note, req.user);
+        return res.json({ message: `Dispute ${decision === 'accept' ? 'accepted' : 'rejected'}.` });
+    } catch (err) {
+        console.error("Resolve Dispute Error:", err);
+        return sendError(res, err);
+    }
+});
+
+// 15g. Get Attendance Flags (proxy-attendance review queue)
+app.post('/getAttendanceFlags', authorize(STAFF_ROLES), async (req, res) => {
+    try {
+        const { status = 'open', sessionId } = req.body;
+        let query = admin.firestore().collection('attendance_flags')
+            .where('instituteId', '==', req.user.instituteId)
+            .where('status', '==', status);
+        if (req.user.role === ROLES.TEACHER) query = query.where('teacherId', '==', req.user.uid);
+        if (sessionId) query = query.where('sessionId', '==', sessionId);
+
+        const snapshot = await query.get();
+        const flags = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        return res.json({ flags });
+    } catch (err) { return res.status(500).json({ error: err.message }); }
+});
+
+// 15h. Review Attendance Flag (confirm marks the student absent)
+app.post('/reviewAttendanceFlag', authorize(STAFF_ROLES, { institute: instituteOfDoc('attendance_flags', 'flagId') }), async (req, res) => {
+    try {
+        const { flagId, decision, note } = req.body;
+        if (!flagId) return res.status(400).json({ error: 'Missing Flag ID' });
+        await reviewFlag(flagId, decision, note, req.user);
+        return res.json({ message: `Flag ${decision === 'confirm' ? 'confirmed' : 'dismissed'}.` });
+    } catch (err) {
+        console.error("Review Flag Error:", err);
+        return sendError(res, err);
+    }
+});
+
+// 15i. Update Attendance Policy (geofence strictness & demo bypass per institute)
+app.post('/updateAttendancePolicy', authorize(ADMIN_ROLES, { institute: instituteFromRequest() }), async (req, res) => {
+    try {
+        const instituteId = req.body.instituteId || req.user.instituteId;
+        if (!instituteId) return res.status(400).json({ error: 'Missing Institute ID' });
+        const { mode, demoBypass, defaultRadiusMeters, maxAccuracyMeters } = req.body;
+
+        const instituteRef = admin.firestore().collection('institutes').doc(instituteId);
+        const current = (await instituteRef.get()).data()?.attendancePolicy || {};
+        const updates = Object.fromEntries(Object.entries({ mode, demoBypass, defaultRadiusMeters, maxAccuracyMeters }).filter(([, v]) => v !== undefined));
+        const attendancePolicy = normalizePolicy({ ...current, ...updates });
+
+        await instituteRef.set({ attendancePolicy }, { merge: true });
+        return res.json({ message: 'Attendance policy updated.', attendancePolicy });
+    } catch (err) { return sendError(res, err); }
+});
+
+// 15j. Get Geofence Failures (for reviewing rejected scans)
+app.post('/getGeofenceFailures', authorize(STAFF_ROLES.concat(ROLES.SUPER_ADMIN), { institute: instituteFromRequest() }), async (req, res) => {
+    try {
+        const { sessionId, limit = 100 } = req.body;
+        const instituteId = req.body.instituteId || req.user.instituteId;
+        if (!instituteId) return res.status(400).json({ error: 'Missing Institute ID' });
+        let query = admin.firestore().collection('geofence_failures').where('instituteId', '==', instituteId);
+        if (sessionId) query = query.where('sessionId', '==', sessionId);
+        const snapshot = await query.orderBy('createdAt', 'desc').limit(Math.min(Number(limit) || 100, 500)).get();
+        const failures = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        return res.json({ failures });
+    } catch (err) { return sendError(res, err); }
+});
+
 // 16. DELETE INSTITUTE (Cascading - Super Admin Only)
-app.post('/deleteInstitute', async (req, res) => {
+app.post('/deleteInstitute', authorize([ROLES.SUPER_ADMIN]), async (req, res) => {
   try {
     const { instituteId } = req.body;
     if (!instituteId) return res.status(400).json({ error: 'Missing Institute ID' });
@@ -705,11 +1214,14 @@ app.post('/checkStatus', async (req, res) => {
 
     if (!studentSnap.empty) {
         const data = studentSnap.docs[0].data();
+        const reason = data.reviewReason || null;
         return res.json({ 
             found: true, 
             role: 'student',
-            status: data.status, // 'pending', 'approved', 'denied'
-            message: `Student Request Status: ${data.status.toUpperCase()}`
+            status: data.status, // 'pending', 'processing', 'approved', 'denied', 'failed'
+            reason,
+            reviewedAt: data.reviewedAt ? data.reviewedAt.toDate().toISOString() : null,
+            message: `Student Request Status: ${data.status.toUpperCase()}${reason ? ` - ${reason}` : ''}`
         });
     }
 
@@ -748,74 +1260,51 @@ app.post('/checkStatus', async (req, res) => {
 });
 
 // 19. Generate Full Quiz (Legacy/Specific Endpoint)
-app.post('/generateQuiz', async (req, res) => {
+app.post('/generateQuiz', authenticate, aiQuota, moderateInput('careerGoal'), async (req, res) => {
     try {
         const { department, semester, careerGoal } = req.body;
-        const apiKey = process.env.GROQ_API_KEY;
 
-        const systemPrompt = `
-            You are a professor creating a quick-fire quiz.
-            Generate 10 Multiple Choice Questions (MCQs) for a ${department} student in Semester ${semester}.
-            Focus on topics relevant to: "${careerGoal}".
-            
-            Return STRICT JSON format:
-            {
-              "questions": [
-                {
-                  "question": "Question text here?",
-                  "options": ["Option A", "Option B", "Option C", "Option D"],
-                  "answer": "Option A",
-                  "explanation": "Short explanation of why A is correct."
-                }
-              ]
-            }
-        `;
-
-        const response = await fetch("https://api.groq.com/openai/v1/chat/completions", {
-            method: "POST",
-            headers: { 
-                "Authorization": `Bearer ${apiKey}`, 
-                "Content-Type": "application/json" 
-            },
-            body: JSON.stringify({ 
-                messages: [{ role: "system", content: systemPrompt }], 
-                model: "llama-3.3-70b-versatile",
-                response_format: { type: "json_object" } 
-            })
+        const { systemPrompt, userPrompt, promptVersion } = renderPrompt('generateQuiz', { department, semester, careerGoal });
+
+        const { result, fromCache } = await cachedAICall({
+            route: 'generateQuiz',
+            inputs: { department, semester, careerGoal },
+            systemPrompt,
+            userPrompt,
+            promptVersion,
+            jsonMode: true,
+            options: { schema: AI_SCHEMAS.legacyQuiz },
+            user: req.user
         });
-
-        const data = await response.json();
-        const cleanJson = data.choices[0].message.content.replace(/```json|```/g, '').trim();
-        res.json(JSON.parse(cleanJson));
+        res.json({ ...result, fromCache });
 
     } catch (error) {
         console.error("Quiz Gen Error:", error);
-        res.status(500).json({ error: "Failed to generate quiz." });
+        return sendAIError(res, error);
     }
 });
 
-// Route 20: Update Resume & Claim XP
-app.post('/updateResume', async (req, res) => {
+// Route 20: Update Resume & Claim XP (the XP is paid for the first resume only)
+app.post('/updateResume', authenticate, async (req, res) => {
     try {
-        const authHeader = req.headers.authorization || '';
-        const token = authHeader.split('Bearer ')[1];
-        if (!token) return res.status(401).json({ error: 'Missing token' });
-
-        const decoded = await admin.auth().verifyIdToken(token);
-        const uid = decoded.uid;
+        const uid = req.user.uid;
         const { resumeData } = req.body; // Expects { skills: [], experience: '', projects: [] }
 
         if (!resumeData) return res.status(400).json({ error: "No data provided" });
 
         const userRef = admin.firestore().collection('users').doc(uid);
 
-        // Update User Doc with new Resume Data + Increment XP
-        await userRef.update({
-            resumeData: resumeData,
-            xp: admin.firestore.FieldValue.increment(50) // 🏆 Reward for productivity
+        const awarded = await admin.firestore().runTransaction(async (t) => {
+            const userSnap = await t.get(userRef);
+            const firstResume = !(userSnap.exists && userSnap.data().resumeXpAwarded);
+            t.update(userRef, {
+                resumeData: resumeData,
+                ...(firstResume ? { resumeXpAwarded: true, xp: admin.firestore.FieldValue.increment(50) } : {}) // 🏆 Reward for productivity
+            });
+            return firstResume;
         });
 
-        return res.json({ message: 'Resume updated! +50 XP awarded 🏆' });
+        return res.json({ message: awarded ? 'Resume updated! +50 XP awarded 🏆' : 'Resume updated!' });
 
     } catch (error) {
         console.error("Resume Update Error:", error);
@@ -828,13 +1317,15 @@ app.post('/updateResume', async (req, res) => {
 // =======================
 
 // 20. Create Assignment (Teacher)
-app.post('/createAssignment', async (req, res) => {
+app.post('/createAssignment', authorize([ROLES.TEACHER, ROLES.HOD]), async (req, res) => {
     try {
-        const { teacherId, teacherName, department, targetYear, title, description, dueDate } = req.body;
+        const teacherId = req.user.uid;
+        const { teacherName, department, targetYear, title, description, dueDate } = req.body;
         
         await admin.firestore().collection('assignments').add({
             teacherId,
             teacherName,
+            instituteId: req.user.instituteId,
             department,
             targetYear,
             title,
@@ -847,12 +1338,38 @@ app.post('/createAssignment', async (req, res) => {
     } catch (err) { return res.status(500).json({ error: err.message }); }
 });
 
+// Assignment in the caller's institute (older assignments are resolved through their teacher's profile)
+async function assignmentInInstitute(user, assignmentId) {
+    if (!assignmentId) throw httpError(400, 'Missing Assignment ID');
+    const snap = await admin.firestore().collection('assignments').doc(assignmentId).get();
+    if (!snap.exists) throw httpError(404, 'Assignment not found');
+    const assignment = snap.data();
+
+    let instituteId = assignment.instituteId;
+    if (!instituteId && assignment.teacherId) {
+        const teacherSnap = await admin.firestore().collection('users').doc(assignment.teacherId).get();
+        instituteId = teacherSnap.exists ? teacherSnap.data().instituteId : null;
+    }
+    if (!instituteId || instituteId !== user.instituteId) throw httpError(403, 'Target belongs to another institute.');
+    return assignment;
+}
+
+// Assignment behind a teacher/HOD request; teachers may only touch their own
+async function assignmentForStaff(user, assignmentId) {
+    const assignment = await assignmentInInstitute(user, assignmentId);
+    if (user.role === ROLES.TEACHER && assignment.teacherId !== user.uid) {
+        throw httpError(403, 'You can only manage submissions for your own assignments.');
+    }
+    return assignment;
+}
+
 // 21. Get Assignments (Student)
-app.post('/getAssignments', async (req, res) => {
+app.post('/getAssignments', authorize([ROLES.STUDENT].concat(STAFF_ROLES)), async (req, res) => {
     try {
         const { department, year } = req.body;
-        // Fetch assignments for student's Dept & Year OR 'All'
+        // Fetch assignments of the caller's institute for the Dept & Year OR 'All'
         const q = admin.firestore().collection('assignments')
+            .where('instituteId', '==', req.user.instituteId)
             .where('department', '==', department)
             .where('targetYear', 'in', [year, 'All']);
             
@@ -867,12 +1384,14 @@ app.post('/getAssignments', async (req, res) => {
 });
 
 // 22. Submit Assignment (Student - Upload PDF)
-app.post('/submitAssignment', upload.single('document'), async (req, res) => {
+app.post('/submitAssignment', authorize([ROLES.STUDENT]), upload.single('document'), async (req, res) => {
     try {
-        const { studentId, studentName, rollNo, assignmentId } = req.body;
+        const studentId = req.user.uid;
+        const { studentName, rollNo, assignmentId } = req.body;
         const file = req.file;
 
         if (!file) return res.status(400).json({ error: "No file uploaded" });
+        await assignmentInInstitute(req.user, assignmentId);
 
         // Check if already submitted
         const existing = await admin.firestore().collection('submissions')
@@ -896,38 +1415,48 @@ app.post('/submitAssignment', upload.single('document'), async (req, res) => {
         });
 
         return res.json({ message: "Assignment Submitted!" });
-    } catch (err) { return res.status(500).json({ error: err.message }); }
+    } catch (err) { return sendError(res, err); }
 });
 
 // 23. Get Submissions for a Task (Teacher)
-app.post('/getSubmissions', async (req, res) => {
+app.post('/getSubmissions', authorize([ROLES.TEACHER, ROLES.HOD]), async (req, res) => {
     try {
         const { assignmentId } = req.body;
+        await assignmentForStaff(req.user, assignmentId);
         const snapshot = await admin.firestore().collection('submissions')
             .where('assignmentId', '==', assignmentId).get();
             
         const submissions = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
         return res.json({ submissions });
-    } catch (err) { return res.status(500).json({ error: err.message }); }
+    } catch (err) { return sendError(res, err); }
 });
 
 // 24. Grade Submission (Teacher)
-app.post('/gradeSubmission', async (req, res) => {
+app.post('/gradeSubmission', authorize([ROLES.TEACHER, ROLES.HOD]), async (req, res) => {
     try {
         const { submissionId, marks, feedback } = req.body;
-        
-        await admin.firestore().collection('submissions').doc(submissionId).update({
+        if (!submissionId) return res.status(400).json({ error: 'Missing Submission ID' });
+
+        const submissionRef = admin.firestore().collection('submissions').doc(submissionId);
+        const submissionSnap = await submissionRef.get();
+        if (!submissionSnap.exists) return res.status(404).json({ error: 'Submission not found' });
+        await assignmentForStaff(req.user, submissionSnap.data().assignmentId);
+
+        await submissionRef.update({
             status: 'Graded',
             marks,
             feedback
         });
 
         return res.json({ message: "Graded successfully!" });
-    } catch (err) { return res.status(500).json({ error: err.message }); }
+    } catch (err) { return sendError(res, err); }
 });
 
+// Free-text profile fields that end up in task prompts
+const PROFILE_FIELDS = ['userProfile.domain', 'userProfile.subDomain', 'userProfile.specificSkills'];
+
 // 25. Generate Deep Contextual Task (The "Syllabus Architect")
-app.post('/generateDeepTask', async (req, res) => {
+app.post('/generateDeepTask', authenticate, aiQuota, moderateInput(...PROFILE_FIELDS), async (req, res) => {
     try {
         const { userProfile } = req.body; 
         // userProfile expects: { firstName, department, year, domain, subDomain, specificSkills }
@@ -937,272 +1466,90 @@ app.post('/generateDeepTask', async (req, res) => {
         const { domain, subDomain, specificSkills, year, department } = userProfile;
 
         // 1. Construct the "Deep Context" Prompt
-        const systemPrompt = `
-            You are an expert Academic Mentor and Curriculum Architect for university students.
-            Your goal is to create a single, highly practical, short-duration (15-30 min) micro-task that bridges the gap between a student's academic syllabus and their career interest.
-            
-            OUTPUT RULES:
-            - Return STRICT JSON only.
-            - No markdown, no conversation.
-        `;
-
-        const userPrompt = `
-            Student Profile:
-            - Year/Dept: ${year} Year, ${department} Engineering.
-            - Interest Domain: ${domain} -> ${subDomain}.
-            - Specific Focus/Weakness: ${specificSkills || 'General Foundations'}.
-            
-            Task Requirements:
-            1. Create a "Mini-Project" or "Skill Challenge" that takes 20-30 minutes.
-            2. It must be specific (e.g., don't say "Code something", say "Create a REST API for...").
-            3. It should relate to their specific skills if mentioned.
-            
-            JSON Schema:
-            {
-              "taskTitle": "Catchy Title",
-              "difficulty": "Easy" | "Medium" | "Hard",
-              "estimatedTime": "20 min",
-              "xpReward": 100,
-              "skillsTargeted": ["Skill 1", "Skill 2"],
-              "instructions": [
-                "Step 1: ...",
-                "Step 2: ...",
-                "Step 3: ..."
-              ],
-              "deliverableType": "code_snippet" | "text_summary" | "file_upload" 
-            }
-        `;
+        const { systemPrompt, userPrompt } = renderPrompt('deepTask', { year, department, domain, subDomain, specificSkills });
 
         // 2. Call Groq with JSON Enforcement
-        const taskJson = await callGroqAI(systemPrompt, userPrompt, true);
+        const taskJson = await callGroqAI(systemPrompt, userPrompt, true, { schema: AI_SCHEMAS.deepTask, route: 'generateDeepTask', user: req.user });
+        await assertSafe(taskJson, { direction: 'output', user: req.user, route: 'generateDeepTask' });
 
-        return res.json({ task: taskJson });
+        // Deep tasks aren't graded, so they carry no XP (older prompts asked the model for one)
+        const { xpReward, ...task } = taskJson;
+        return res.json({ task });
 
     } catch (err) {
         console.error("Deep Task Error:", err);
-        return res.status(500).json({ error: "Failed to generate task." });
+        return sendAIError(res, err);
     }
 });
 
-app.post('/verifyQuickTask', verifyLimiter, async (req, res) => {
-  try {
-    const { uid, taskTitle, proofText, taskType, xpReward } = req.body;
-    
-    if (!uid || !taskTitle || !proofText) return res.status(400).json({ error: "Missing Proof Data" });
-    
-    // 1. Minimum Effort Check
-    if (proofText.length < 15) return res.status(400).json({ error: "Submission too short. Please provide a real summary/code." });
-
-    const userRef = admin.firestore().collection('users').doc(uid);
-    const userSnap = await userRef.get();
-    const userData = userSnap.data();
-
-    // 2. TIME COOLDOWN (15 Minutes)
-    const now = admin.firestore.Timestamp.now();
-    const lastTime = userData.lastQuickTaskTime;
-    if (lastTime && (now.toMillis() - lastTime.toMillis()) / (1000 * 60) < 15) {
-        const minsLeft = 15 - Math.floor((now.toMillis() - lastTime.toMillis()) / (1000 * 60));
-        return res.status(429).json({ error: `⏳ Cooldown active! Wait ${minsLeft} mins.` });
-    }
-
-    // 3. DAILY CAP (Max 200 Credits/Day)
-    const todayStr = new Date().toDateString();
-    let dailyCredits = 0;
-    if (userData.dailyCreditsDate === todayStr) {
-        dailyCredits = userData.dailyCreditsCount || 0;
-    }
-    if (dailyCredits >= 200) {
-        return res.status(403).json({ error: "🛑 Daily Limit Reached! Come back tomorrow." });
-    }
-
-    // 4. AI VERIFICATION (The "Spam Filter")
-    const systemPrompt = `You are a strict teacher verifying student work. Reply 'VALID' or 'INVALID' only.`;
-    const userPrompt = `
-      Task: "${taskTitle}" (${taskType}).
-      Student Proof: "${proofText}"
-      
-      Rules:
-      - If it's gibberish, random keys, or irrelevant: INVALID.
-      - If it looks like a genuine attempt: VALID.
-    `;
-
-    const aiVerdict = await callGroqAI(systemPrompt, userPrompt, false);
-
-    if (aiVerdict.includes("INVALID")) {
-        return res.status(400).json({ error: "⚠️ AI Verification Failed. Content seems irrelevant or spam." });
-    }
-
-    // 5. SUCCESS: Award Credits
-    const points = xpReward || 30;
-    await userRef.update({ 
-        xp: admin.firestore.FieldValue.increment(points), 
-        lastQuickTaskTime: now,
-        dailyCreditsDate: todayStr,
-        dailyCreditsCount: (userData.dailyCreditsDate === todayStr ? dailyCredits : 0) + points
-    });
-    
-    const newBadges = await checkAndAwardBadges(userRef, (userData.xp || 0) + points, userData.badges);
+// Prompt and output schema per interactive task type
+const INTERACTIVE_TASKS = {
+    Simulation: { prompt: 'interactiveSimulation', schema: AI_SCHEMAS.interactiveChoice }, // 🔥 Roleplay - no reading, just decisions
+    Mystery: { prompt: 'interactiveMystery', schema: AI_SCHEMAS.interactiveChoice }, // 🕵️ Logic puzzle
+    Coding: { prompt: 'interactiveCoding', schema: AI_SCHEMAS.interactiveCoding }, // 💻 Practical
+    Typing: { prompt: 'interactiveTyping', schema: AI_SCHEMAS.interactiveTyping }, // ⌨️ Easy XP
+    FlashCard: { prompt: 'interactiveFlashCard', schema: AI_SCHEMAS.flashcards }
+};
 
-    return res.json({ 
-        success: true, 
-        message: `✅ Verified! +${points} Credits Earned.`, 
-        newBadges 
-    });
-
-  } catch (err) {
-    console.error("Verification Error:", err);
-    return res.status(500).json({ error: "Verification failed. Try again." });
-  }
-});
-
-app.post('/startInteractiveTask', taskLimiter, async (req, res) => {
+app.post('/startInteractiveTask', authenticate, taskLimiter, aiQuota, moderateInput('userInterest'), async (req, res) => {
     try {
         const { taskType, userInterest } = req.body; 
         
-        let systemPrompt = "";
-        let userPrompt = "";
-
-        // 🔥 MODE 1: SIMULATION (Roleplay - No Reading, Just Decisions)
-        if (taskType === 'Simulation') {
-            systemPrompt = "You are a Career Simulator. Create intense, realistic workplace scenarios. Output strictly valid JSON.";
-            userPrompt = `Create a high-stakes scenario for a "${userInterest}" professional.
-            Situation: A critical problem has occurred (e.g., server crash, angry client, budget cut).
-            Task: The user must choose the BEST professional course of action.
-            
-            JSON Format:
-            {
-                "title": "Dramatic Title",
-                "scenario": "You are a senior dev... suddenly...",
-                "role": "Your Job Title",
-                "options": [
-                    "A) Rash Decision (Bad)", 
-                    "B) The Best Professional Move (Correct)", 
-                    "C) Lazy Solution (Mediocre)", 
-                    "D) Unethical Choice (Bad)"
-                ],
-                "correctIndex": 1,
-                "consequence": "Explain briefly why B was the best move."
-            }`;
-        }
-        // 🕵️ MODE 2: MYSTERY (Logic Puzzle - Gamified)
-        else if (taskType === 'Mystery') {
-            systemPrompt = "You are a Logic Master. Create riddles and puzzles. Output strictly valid JSON.";
-            userPrompt = `Create a logic puzzle or mystery related to "${userInterest}".
-            Example: A broken code snippet, a missing server log, or a design flaw.
-            
-            JSON Format:
-            {
-                "title": "The Case of the...",
-                "scenario": "Clues: 1..., 2..., 3...",
-                "role": "Detective",
-                "options": ["Suspect A", "Suspect B", "Suspect C", "Suspect D"],
-                "correctIndex": 2,
-                "consequence": "The solution was..."
-            }`;
-        } 
-        // 💻 MODE 3: CODING (Keep - it's practical)
-        else if (taskType === 'Coding') {
-            systemPrompt = "You are a Senior Tech Lead. Output strictly valid JSON.";
-            userPrompt = `Give a junior developer a "${userInterest}" bug to fix or a function to write.
-            JSON Format: { "title": "...", "scenario": "Your goal is to...", "starterCode": "...", "expectedOutput": "..." }`;
-        }
-        // ⌨️ MODE 4: TYPING (Keep - it's easy XP)
-        else if (taskType === 'Typing') {
-            systemPrompt = "Output strictly valid JSON.";
-            userPrompt = `Generate a fascinating fact about "${userInterest}" (max 30 words). JSON Format: { "textToType": "..." }`;
-        }
-        else if (taskType === 'FlashCard') {
-            systemPrompt = "You are a Revision Expert. Output strict JSON.";
-            userPrompt = `Create 5 concise revision flashcards for "${userInterest}". JSON Format: { "cards": [{ "front": "Term", "back": "Definition (Max 15 words)" }] }`;
-        }
+        const task = INTERACTIVE_TASKS[taskType];
+        if (!task) return res.status(400).json({ error: "Unknown task type" });
 
-        const data = await callGroqAI(systemPrompt, userPrompt, true);
-        res.json(data);
+        const { systemPrompt, userPrompt } = renderPrompt(task.prompt, { userInterest });
+        const data = await callGroqAI(systemPrompt, userPrompt, true, { schema: task.schema, route: 'startInteractiveTask', user: req.user });
+        await assertSafe(data, { direction: 'output', user: req.user, route: 'startInteractiveTask' });
+
+        // Flashcards go into the student's deck for the topic so they can be reviewed later
+        if (taskType === 'FlashCard') {
+            const { deckId, cardIds } = await addCardsForTopic(req.user.uid, { topic: userInterest, cards: data.cards, source: 'interactiveTask' });
+            return res.json({ ...data, cards: data.cards.map((card, i) => ({ ...card, id: cardIds[i] })), deckId });
+        }
+        // Everything else is stored with its answer; the student gets a taskId to submit against
+        res.json(await issueInteractiveTask(req.user, taskType, data));
 
     } catch (err) {
         console.error("Task Gen Error:", err);
-        res.status(500).json({ error: "Failed to generate task." });
+        return sendAIError(res, err);
     }
 });
 
-// 2. SUBMIT & GRADE
-app.post('/submitInteractiveTask', async (req, res) => {
+// Typing tasks: { taskId } when the student starts typing; the server times the attempt from here
+app.post('/beginInteractiveTask', authenticate, async (req, res) => {
     try {
-        const { uid, taskType, submission, context } = req.body;
-        const userRef = admin.firestore().collection('users').doc(uid);
-
-        let passed = false;
-        let feedback = "";
-        let hint = null; // New "Smart Hint" feature
-        let creditsEarned = 0;
-
-        // --- A. CODING CHALLENGE (Smart Tutor Mode) ---
-        if (taskType === 'Coding') {
-            const systemPrompt = `
-                You are a Code Reviewer. 
-                Task: ${context.problemStatement}
-                Student Code: ${submission.code}
-                
-                Rules:
-                1. If logic is correct, return JSON: { "passed": true, "feedback": "Great job!" }
-                2. If WRONG, return JSON: { "passed": false, "hint": "Give a specific clue (e.g. 'Check your variable scope'), do NOT give the full answer." }
-            `;
-            
-            const aiCheck = await callGroqAI("Code Mentor", systemPrompt, true);
-            
-            passed = aiCheck.passed;
-            if (passed) {
-                feedback = aiCheck.feedback || "Code Verified! Excellent logic.";
-                creditsEarned = 50;
-            } else {
-                hint = aiCheck.hint || "Something is off. Check your syntax.";
-                feedback = "Keep trying! See the hint below.";
-            }
-        }
-
-        // --- B. TYPING TEST (Speed & Accuracy) ---
-        else if (taskType === 'Typing') {
-            // Context.targetText is the original paragraph
-            const { wpm, accuracy } = submission;
-            
-            // Hard Rules: >30 WPM and >90% Accuracy
-            if (wpm >= 30 && accuracy >= 90) {
-                passed = true;
-                creditsEarned = 30;
-                feedback = `🔥 Fast Fingers! ${wpm} WPM & ${accuracy}% Accuracy.`;
-            } else {
-                passed = false;
-                feedback = `Too slow or inaccurate. You need >30 WPM and >90% Accuracy. (You: ${wpm} WPM, ${accuracy}%)`;
-            }
-        }
-
-        // --- C. QUIZ (Instant Check) ---
-        else if (taskType === 'Quiz') {
-            if (submission.answerIndex === context.answerIndex) {
-                passed = true;
-                creditsEarned = 20;
-                feedback = "Correct! Well done.";
-            } else {
-                passed = false;
-                feedback = "Incorrect. Try again next time.";
-            }
-        }
+        const { taskId } = req.body;
+        if (!taskId) return res.status(400).json({ error: "Task ID is required" });
+        return res.json({ startedAt: await beginTask(req.user, taskId) });
+    } catch (err) {
+        console.error("Task Begin Error:", err);
+        return sendError(res, err);
+    }
+});
 
-        // 3. Final Database Update (If Passed)
-        if (passed) {
-            await userRef.update({ xp: admin.firestore.FieldValue.increment(creditsEarned) });
-            return res.json({ success: true, passed: true, credits: creditsEarned, feedback });
-        } else {
-            return res.json({ success: true, passed: false, feedback, hint }); // Return hint if failed
+// 2. SUBMIT & GRADE: { taskId, submission } against the stored task; the only way tasks earn XP
+app.post('/submitInteractiveTask', authenticate, moderateInput('submission.code'), async (req, res) => {
+    try {
+        const { taskId, submission } = req.body;
+        if (!taskId) return res.status(400).json({ error: "Task ID is required" });
+
+        const result = await submitTask(req.user, taskId, submission);
+        let newBadges = [];
+        if (result.credits) {
+            const userRef = admin.firestore().collection('users').doc(req.user.uid);
+            const userData = (await userRef.get()).data() || {};
+            newBadges = await checkAndAwardBadges(userRef, userData.xp || 0, userData.badges);
         }
+        return res.json({ success: true, ...result, newBadges });
 
     } catch (err) {
         console.error("Submission Error:", err);
-        res.status(500).json({ error: "Error processing submission." }); 
+        return sendAIError(res, err);
     }
 });
 
-app.post('/generatePersonalizedTasks', async (req, res) => {
+app.post('/generatePersonalizedTasks', authenticate, aiQuota, moderateInput(...PROFILE_FIELDS), async (req, res) => {
     try {
         const { userProfile } = req.body;
         
@@ -1210,98 +1557,42 @@ app.post('/generatePersonalizedTasks', async (req, res) => {
             return res.json({ tasks: [] }); 
         }
 
-        const prompt = `
-            Generate exactly 3 short, gamified tasks for a student to do in 5 minutes.
-            Student Profile:
-            - Interest: ${userProfile.domain} (${userProfile.subDomain})
-            - Target Skill: ${userProfile.specificSkills || 'General Essentials'}
-            
-            REQUIRED TASKS (Return strictly valid JSON Array):
-            1. "Coding": A small coding bug or challenge related to ${userProfile.specificSkills}.
-            2. "Quiz": A conceptual multiple-choice question.
-            3. "Typing": A 40-50 word paragraph about ${userProfile.subDomain} history or facts.
-
-            JSON Structure:
-            [
-                {
-                    "id": "task_1",
-                    "title": "Fix the Bug / Create Comp",
-                    "type": "Coding",
-                    "xp": 50,
-                    "content": {
-                        "problemStatement": "Describe the coding task...",
-                        "starterCode": "const x = 0; // Fix this..."
-                    }
-                },
-                {
-                    "id": "task_2",
-                    "title": "Quick Trivia",
-                    "type": "Quiz",
-                    "xp": 20,
-                    "content": {
-                        "question": "What does...?",
-                        "options": ["A", "B", "C", "D"],
-                        "answerIndex": 0
-                    }
-                },
-                {
-                    "id": "task_3",
-                    "title": "Speed Typing: ${userProfile.subDomain}",
-                    "type": "Typing",
-                    "xp": 30,
-                    "content": {
-                        "targetText": "React is a library... (approx 40 words)"
-                    }
-                }
-            ]
-        `;
+        const { systemPrompt, userPrompt } = renderPrompt('personalizedTasks', {
+            domain: userProfile.domain,
+            subDomain: userProfile.subDomain,
+            specificSkills: userProfile.specificSkills
+        });
 
-        const aiResponse = await callGroqAI("Curriculum Architect", prompt, true); 
-        const tasks = Array.isArray(aiResponse) ? aiResponse : [];
-        res.json({ tasks });
+        const aiResponse = await callGroqAI(systemPrompt, userPrompt, true, { schema: AI_SCHEMAS.personalizedTasks, route: 'generatePersonalizedTasks', user: req.user });
+        await assertSafe(aiResponse, { direction: 'output', user: req.user, route: 'generatePersonalizedTasks' });
+        res.json({ tasks: await issuePersonalizedTasks(req.user, aiResponse.tasks) });
 
     } catch (error) {
         console.error("AI Gen Error:", error);
-        res.status(500).json({ error: "Failed to generate tasks" });
+        return sendAIError(res, error);
     }
 });
 
-app.post('/verifyAiTask', async (req, res) => {
+app.post('/verifyAiTask', authenticate, aiQuota, moderateInput('userSubmission'), async (req, res) => {
     try {
         const { taskType, originalTask, userSubmission } = req.body;
 
-        const prompt = `
-            Act as a strict teacher.
-            Task Type: ${taskType}
-            Problem: ${JSON.stringify(originalTask)}
-            Student Submission: ${userSubmission}
-
-            Verify if the submission is correct/relevant. 
-            Return strictly JSON: 
-            { 
-                "passed": boolean, 
-                "feedback": "1 sentence constructive feedback" 
-            }
-        `;
+        const { systemPrompt, userPrompt } = renderPrompt('verifyAiTask', { taskType, originalTask, userSubmission });
 
-        const result = await callGroqAI("Grader", prompt, true);
+        const result = await callGroqAI(systemPrompt, userPrompt, true, { schema: AI_SCHEMAS.gradeVerdict, route: 'verifyAiTask', user: req.user });
+        await assertSafe(result, { direction: 'output', user: req.user, route: 'verifyAiTask' });
         res.json(result);
     } catch (error) {
         console.error("Verification Error:", error);
-        res.status(500).json({ error: "Verification failed" });
+        return sendAIError(res, error);
     }
 });
 
-app.post('/setup2FA', async (req, res) => {
+app.post('/setup2FA', authenticate, async (req, res) => {
   try {
-    const authHeader = req.headers.authorization || '';
-    const token = authHeader.split('Bearer ')[1];
-    if (!token) return res.status(401).json({ error: 'Unauthorized' });
-    
-    const decoded = await admin.auth().verifyIdToken(token);
-    const uid = decoded.uid;
+    const uid = req.user.uid;
 
-    const secret = speakeasy.generateSecret({ name: `AcadeX (${decoded.email})` });
+    const secret = speakeasy.generateSecret({ name: `AcadeX (${req.user.email})` });
     const qrImage = await QRCode.toDataURL(secret.otpauth_url);
 
     // Save temporary secret
@@ -1315,15 +1606,10 @@ app.post('/setup2FA', async (req, res) => {
 });
 
 // 2. Verify: Enable 2FA
-app.post('/verify2FA', async (req, res) => {
+app.post('/verify2FA', authenticate, async (req, res) => {
   try {
+    const uid = req.user.uid;
     const { token: userCode, isLogin } = req.body;
-    const authHeader = req.headers.authorization || '';
-    const token = authHeader.split('Bearer ')[1];
-    if (!token) return res.status(401).json({ error: 'Unauthorized' });
-
-    const decoded = await admin.auth().verifyIdToken(token);
-    const uid = decoded.uid;
 
     const secretDoc = await admin.firestore().collection('secrets').doc(uid).get();
     if (!secretDoc.exists) return res.status(400).json({ error: 'Setup not started' });
@@ -1354,42 +1640,48 @@ app.post('/verify2FA', async (req, res) => {
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.post('/verifyCode', async (req, res) => {
+app.post('/verifyCode', authenticate, aiQuota, moderateInput('problemStatement', 'code'), async (req, res) => {
     try {
         const { code, language, problemStatement } = req.body;
-        const apiKey = process.env.GROQ_API_KEY;
-
-        const prompt = `
-            Act as a Code Compiler & Mentor.
-            Problem: "${problemStatement}"
-            Language: ${language}
-            Student Code: 
-            ${code}
-
-            Check if the code solves the problem correctly.
-            Return STRICT JSON:
-            {
-                "correct": boolean,
-                "output": "Simulated output of the code",
-                "hint": "If wrong, give a small hint. If right, say 'Great job!'"
-            }
-        `;
-
-        const response = await fetch("https://api.groq.com/openai/v1/chat/completions", {
-            method: "POST",
-            headers: { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json" },
-            body: JSON.stringify({ messages: [{ role: "user", content: prompt }], model: "llama-3.3-70b-versatile", response_format: { type: "json_object" } })
+        if (!code || !problemStatement) return res.status(400).json({ error: "Code and problem statement are required" });
+
+        const { systemPrompt, userPrompt, promptVersion } = renderPrompt('verifyCode', { problemStatement, language, code });
+
+        const { result, fromCache } = await cachedAICall({
+            route: 'verifyCode',
+            inputs: { code, language, problemStatement },
+            systemPrompt,
+            userPrompt,
+            promptVersion,
+            jsonMode: true,
+            options: { temperature: 0, schema: AI_SCHEMAS.codeVerdict },
+            user: req.user
         });
+        res.json({ ...result, fromCache });
+    } catch (err) {
+        console.error("Verify Code Error:", err);
+        return sendAIError(res, err);
+    }
+});
 
-        const data = await response.json();
-        res.json(JSON.parse(data.choices[0].message.content));
-    } catch (err) { res.status(500).json({ error: "Compiler Error" }); }
+// --- Class weak spots: topics with the lowest average skill (optionally one department/year/subject) ---
+app.post('/getWeakestTopics', authorize(STAFF_ROLES, { institute: instituteFromRequest() }), async (req, res) => {
+    try {
+        const { department, year, subject, limit } = req.body;
+        const instituteId = req.body.instituteId || req.user.instituteId;
+        if (!instituteId) return res.status(400).json({ error: "Missing Institute ID" });
+        const topics = await weakestTopics(instituteId, { department, year, subject, limit });
+        return res.json({ topics });
+    } catch (err) {
+        console.error("Weakest Topics Error:", err);
+        return sendError(res, err);
+    }
 });
 
 // --- UPDATE 3: TEACHER ANALYTICS (Task Stats) ---
-app.post('/getTaskAnalytics', async (req, res) => {
+app.post('/getTaskAnalytics', authorize(STAFF_ROLES, { institute: instituteFromRequest() }), async (req, res) => {
     try {
-        const { instituteId } = req.body;
+        const instituteId = req.body.instituteId || req.user.instituteId;
         // Fetch aggregated stats from 'userProgress' collection or calculate from 'users'
         // This is a simplified aggregation
         const usersSnap = await admin.firestore().collection('users').where('instituteId', '==', instituteId).get();
@@ -1415,5 +1707,108 @@ app.post('/getTaskAnalytics', async (req, res) => {
     } catch (err) { res.status(500).json({ error: "Stats failed" }); }
 });
 
+// --- AI USAGE & QUOTAS ---
+
+// Own quota status (any signed-in user)
+app.get('/aiQuota', authenticate, async (req, res) => {
+    try {
+        return res.json({ quotas: await quotaStatus(req.user) });
+    } catch (err) {
+        console.error("AI Quota Error:", err);
+        return sendError(res, err);
+    }
+});
+
+// Institute dashboard: totals, per day, per route, per role and top users for a date range
+app.post('/getAIUsage', authorize(ADMIN_ROLES, { institute: instituteFromRequest() }), async (req, res) => {
+    try {
+        const instituteId = req.body.instituteId || req.user.instituteId;
+        if (!instituteId) return res.status(400).json({ error: "Missing Institute ID" });
+        const report = await instituteUsageReport(instituteId, { from: req.body.from, to: req.body.to });
+        return res.json(report);
+    } catch (err) {
+        console.error("AI Usage Error:", err);
+        return sendError(res, err);
+    }
+});
+
+// Platform overview: every institute's usage for a month (YYYY-MM, default current)
+app.post('/getAIUsageOverview', authorize([ROLES.SUPER_ADMIN]), async (req, res) => {
+    try {
+        return res.json(await usageOverview(req.body.month));
+    } catch (err) {
+        console.error("AI Usage Overview Error:", err);
+        return sendError(res, err);
+    }
+});
+
+// Set an institute's AI plan, optionally with custom daily/monthly token limits
+app.post('/updateAIPlan', authorize([ROLES.SUPER_ADMIN]), async (req, res) => {
+    try {
+        const { instituteId, plan, daily, monthly } = req.body;
+        if (!instituteId) return res.status(400).json({ error: "Missing Institute ID" });
+        await updateInstitutePlan(instituteId, { plan, daily, monthly });
+        return res.json({ success: true });
+    } catch (err) {
+        console.error("Update AI Plan Error:", err);
+        return sendError(res, err);
+    }
+});
+
+// --- CONTENT MODERATION ---
+
+// Blocked prompts and withheld AI replies for an institute (open ones by default)
+app.post('/getModerationEvents', authorize([ROLES.HOD, ROLES.INSTITUTE_ADMIN, ROLES.SUPER_ADMIN], { institute: instituteFromRequest() }), async (req, res) => {
+    try {
+        const { status = 'open', category, direction } = req.body;
+        const instituteId = req.body.instituteId || req.user.instituteId;
+        if (!instituteId) return res.status(400).json({ error: "Missing Institute ID" });
+
+        let query = admin.firestore().collection('moderation_events')
+            .where('instituteId', '==', instituteId)
+            .where('status', '==', status);
+        if (category) query = query.where('category', '==', category);
+        if (direction) query = query.where('direction', '==', direction);
+
+        const snapshot = await query.get();
+        const events = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        return res.json({ events });
+    } catch (err) {
+        console.error("Moderation Events Error:", err);
+        return sendError(res, err);
+    }
+});
+
+// Close an event: 'confirm' a real violation or 'dismiss' a false positive
+app.post('/reviewModerationEvent', authorize([ROLES.HOD, ROLES.INSTITUTE_ADMIN, ROLES.SUPER_ADMIN], { institute: instituteOfDoc('moderation_events', 'eventId') }), async (req, res) => {
+    try {
+        const { eventId, decision, note } = req.body;
+        if (!eventId) return res.status(400).json({ error: "Missing Event ID" });
+        await reviewEvent(eventId, decision, note, req.user);
+        return res.json({ message: `Event ${decision === 'confirm' ? 'confirmed' : 'dismissed'}.` });
+    } catch (err) {
+        console.error("Review Moderation Event Error:", err);
+        return sendError(res, err);
+    }
+});
+
+// --- SESSION EXPIRY SWEEP ---
+const SESSION_SWEEP_INTERVAL_MS = Number(process.env.SESSION_SWEEP_INTERVAL_MS || 60 * 1000);
+backfillSessionExpiry()
+  .then(updated => { if (updated > 0) console.log(`Gave ${updated} legacy live session(s) an expiry.`); })
+  .catch(err => console.error("Session Backfill Error:", err));
+setInterval(() => {
+  expireDueSessions()
+    .then(closed => { if (closed > 0) console.log(`Expired ${closed} live session(s).`); })
+    .catch(err => console.error("Session Sweep Error:", err));
+}, SESSION_SWEEP_INTERVAL_MS).unref();
+
+// --- TIMETABLE AUTO-OPEN ---
+setInterval(() => {
+  openDueSlotSessions()
+    .then(opened => { if (opened > 0) console.log(`Auto-opened ${opened} timetabled session(s).`); })
+    .catch(err => console.error("Timetable Auto-Open Error:", err));
+}, SESSION_SWEEP_INTERVAL_MS).unref();
+
 const PORT = process.env.PORT || 8080;
 app.listen(PORT, () => console.log(`Backend running on port ${PORT}`));
@@ -0,0 +1,35 @@
+// lib/accounts.js
+const admin = require('firebase-admin');
+
+/**
+ * Creates the Firebase Auth user, the `users` profile doc and the role/institute claims.
+ * Shared by /createUser and the student request approval flow.
+ * @param {Object} profile - Same fields /createUser accepts.
+ * @returns {Promise<string>} - The new user's UID.
+ */
+async function createUserAccount(profile) {
+  const {
+    email, password, firstName, lastName, role, instituteId, instituteName,
+    department, subject, rollNo, qualification, extras = {}
+  } = profile;
+
+  const userRecord = await admin.auth().createUser({ email, password, displayName: `${firstName} ${lastName}` });
+  const userRef = admin.firestore().collection('users').doc(userRecord.uid);
+  const userDoc = {
+    uid: userRecord.uid, email, role, firstName, lastName, instituteId, instituteName,
+    department: department || null, subject: subject || null, rollNo: rollNo || null, qualification: qualification || null,
+    xp: 0, badges: [],
+    createdAt: admin.firestore.FieldValue.serverTimestamp(), ...extras
+  };
+  try {
+    await userRef.set(userDoc);
+    await admin.auth().setCustomUserClaims(userRecord.uid, { role, instituteId });
+  } catch (err) {
+    // Don't leave a half-made account behind: the email would be taken with no profile or claims
+    await Promise.allSettled([admin.auth().deleteUser(userRecord.uid), userRef.delete()]);
+    throw err;
+  }
+  return userRecord.uid;
+}
+
+module.exports = { createUserAccount };
@@ -0,0 +1,94 @@
+// lib/aiCache.js
+const admin = require('firebase-admin');
+const { callGroqAI, computeHash, MODEL_ID, LLMError } = require('./groqClient');
+const { assertSafe } = require('./moderation');
+const { sendError } = require('./errors');
+
+const CACHE_COLLECTION = 'ai_cache';
+
+// What clients see for each provider failure; upstream statuses and messages stay in the logs
+const AI_ERRORS = {
+  AI_TIMEOUT: [504, 'The AI took too long to respond. Please try again.'],
+  AI_UNREACHABLE: [502, 'The AI service is unreachable right now.'],
+  AI_RATE_LIMITED: [503, 'The AI service is busy. Please try again shortly.'],
+  AI_PROVIDER_ERROR: [502, 'The AI service could not complete this request.'],
+  AI_NOT_CONFIGURED: [503, 'The AI service is not configured.'],
+  AI_INVALID_OUTPUT: [502, 'AI returned invalid output. Please try again.']
+};
+
+/**
+ * Cache key for an AI call: the route plus every input that shapes the prompt, the model
+ * and the prompt version. Inputs are serialised with sorted keys so field order never splits the cache.
+ */
+function aiCacheKey(route, inputs, promptVersion = null) {
+  const normalized = Object.keys(inputs).sort().reduce((acc, key) => {
+    const value = inputs[key];
+    acc[key] = typeof value === 'string' ? value.trim() : value ?? null;
+    return acc;
+  }, {});
+  return computeHash(`${route}_${JSON.stringify(normalized)}_${MODEL_ID}${promptVersion ? `_${promptVersion}` : ''}`);
+}
+
+/**
+ * Calls the model through callGroqAI, reusing a stored answer for identical inputs.
+ * Fresh answers pass output moderation before they are cached.
+ * @param {Object} params
+ * @param {string} params.route - Logical route name, part of the key (e.g. 'generateNotes').
+ * @param {Object} params.inputs - Values the prompt is built from.
+ * @param {string} params.systemPrompt
+ * @param {string} params.userPrompt
+ * @param {string} [params.promptVersion] - From renderPrompt(); a new version means a new cache entry.
+ * @param {boolean} [params.jsonMode=false]
+ * @param {Object} [params.options] - Passed through to callGroqAI (e.g. `schema`); `route` defaults to params.route.
+ * @param {Object} [params.user] - `req.user`; recorded on fresh entries and charged for the tokens.
+ * @returns {Promise<{ result: Object|string, fromCache: boolean, cacheKey: string }>}
+ */
+async function cachedAICall({ route, inputs, systemPrompt, userPrompt, promptVersion = null, jsonMode = false, options = {}, user = null }) {
+  const cacheKey = aiCacheKey(route, inputs, promptVersion);
+  const cacheRef = admin.firestore().collection(CACHE_COLLECTION).doc(cacheKey);
+
+  const cached = await cacheRef.get();
+  if (cached.exists) return { result: cached.data().result, fromCache: true, cacheKey };
+
+  const result = await callGroqAI(systemPrompt, userPrompt, jsonMode, { route, user, ...options });
+  await assertSafe(result, { direction: 'output', user, route });
+  await cacheRef.set({
+    route,
+    inputs,
+    result,
+    modelVersion: MODEL_ID,
+    promptVersion,
+    generatedForUserId: user ? user.uid : null,
+    generatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return { result, fromCache: false, cacheKey };
+}
+
+/**
+ * Client-facing status and body for an error from an AI call.
+ * @returns {{ status: number, body: { error: string, code?: string, retryAfterSeconds?: number } }}
+ */
+function describeAIError(err) {
+  if (!(err instanceof LLMError)) {
+    const body = { error: err.status ? err.message : 'Something went wrong. Please try again.' };
+    if (err.code && typeof err.code === 'string') body.code = err.code;
+    return { status: err.status || 500, body };
+  }
+  const [status, message] = AI_ERRORS[err.code] || AI_ERRORS.AI_PROVIDER_ERROR;
+  const body = { error: message, code: err.code };
+  if (err.retryAfterMs) body.retryAfterSeconds = Math.ceil(err.retryAfterMs / 1000);
+  return { status, body };
+}
+
+/**
+ * sendError for AI routes: maps LLMError codes to our own status so clients get
+ * `{ error, code }` they can act on (retry later, report, ...).
+ */
+function sendAIError(res, err) {
+  if (!(err instanceof LLMError)) return sendError(res, err);
+  const { status, body } = describeAIError(err);
+  if (body.retryAfterSeconds) res.set('Retry-After', String(body.retryAfterSeconds));
+  return res.status(status).json(body);
+}
+
+module.exports = { aiCacheKey, cachedAICall, describeAIError, sendAIError };
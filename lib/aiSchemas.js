@@ -0,0 +1,300 @@
+// lib/aiSchemas.js
+
+/*
+ * Declared shapes of every JSON output we ask the model for. A schema node is one of
+ *   { type: 'object', properties: { key: node }, required: [keys] }
+ *   { type: 'array', items: node, minItems, maxItems }
+ *   { type: 'string', minLength, enum }
+ *   { type: 'integer' | 'number', min, max }
+ *   { type: 'boolean' }
+ *   { oneOf: [node, ...] }
+ * and may carry `check(value) => string|null` for rules that span fields.
+ */
+
+const MAX_ERRORS = 10;
+
+const str = (extra = {}) => ({ type: 'string', minLength: 1, ...extra });
+const int = (min, max) => ({ type: 'integer', min, max });
+
+// Four options and an answer index that points at one of them
+const fourOptionQuestion = (questionKey, answerKey) => ({
+  type: 'object',
+  required: [questionKey, 'options', answerKey],
+  properties: {
+    [questionKey]: str(),
+    options: { type: 'array', items: str(), minItems: 4, maxItems: 4 },
+    [answerKey]: int(0, 3),
+    explanation: { type: 'string' }
+  }
+});
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function validateNode(node, value, path, errors) {
+  if (errors.length >= MAX_ERRORS) return;
+
+  if (node.oneOf) {
+    const matches = node.oneOf.some(option => validate(option, value).length === 0);
+    if (!matches) errors.push(`${path} does not match any allowed shape`);
+    return;
+  }
+
+  const actual = typeOf(value);
+  const typeMatches = actual === node.type || (node.type === 'number' && actual === 'integer');
+  if (!typeMatches) {
+    errors.push(`${path} must be ${node.type}, got ${actual}`);
+    return;
+  }
+
+  if (node.type === 'object') {
+    (node.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(node.properties || {}).forEach(([key, child]) => {
+      if (value[key] !== undefined && value[key] !== null) validateNode(child, value[key], `${path}.${key}`, errors);
+    });
+  } else if (node.type === 'array') {
+    if (node.minItems !== undefined && value.length < node.minItems) errors.push(`${path} needs at least ${node.minItems} items, got ${value.length}`);
+    if (node.maxItems !== undefined && value.length > node.maxItems) errors.push(`${path} allows at most ${node.maxItems} items, got ${value.length}`);
+    if (node.items) value.forEach((item, i) => validateNode(node.items, item, `${path}[${i}]`, errors));
+  } else if (node.type === 'string') {
+    if (node.minLength && value.trim().length < node.minLength) errors.push(`${path} must not be empty`);
+    if (node.enum && !node.enum.includes(value)) errors.push(`${path} must be one of: ${node.enum.join(', ')}`);
+  } else if (node.type === 'integer' || node.type === 'number') {
+    if (node.min !== undefined && value < node.min) errors.push(`${path} must be >= ${node.min}`);
+    if (node.max !== undefined && value > node.max) errors.push(`${path} must be <= ${node.max}`);
+  }
+
+  if (node.check && errors.length === 0) {
+    const problem = node.check(value);
+    if (problem) errors.push(`${path}: ${problem}`);
+  }
+}
+
+/**
+ * Validates a parsed AI output against a schema.
+ * @returns {string[]} - Human-readable problems (empty when valid), also fed back to the model on repair.
+ */
+function validate(schema, value) {
+  const errors = [];
+  validateNode(schema, value, '$', errors);
+  return errors.slice(0, MAX_ERRORS);
+}
+
+/**
+ * Smallest value that satisfies a schema node: enum strings take their first value, numbers
+ * their minimum and arrays `minItems` copies (at least one). Every string is the same word, so
+ * rules such as "answer is one of the options" hold too. Used by the mock LLM provider.
+ */
+function placeholderFor(node) {
+  if (node.oneOf) return placeholderFor(node.oneOf[0]);
+  switch (node.type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(node.properties || {}).map(([key, child]) => [key, placeholderFor(child)]));
+    case 'array':
+      return Array.from({ length: Math.max(node.minItems || 0, 1) }, () => placeholderFor(node.items || { type: 'string' }));
+    case 'string':
+      return node.enum ? node.enum[0] : 'mock';
+    case 'integer':
+    case 'number':
+      return node.min !== undefined ? node.min : 0;
+    case 'boolean':
+      return false;
+    default:
+      return null;
+  }
+}
+
+const AI_SCHEMAS = {
+  // GET /quiz: each question is tagged with its difficulty for the skill estimate
+  quiz: {
+    type: 'object',
+    required: ['quizTitle', 'questions'],
+    properties: {
+      quizTitle: str(),
+      questions: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 20,
+        items: (() => {
+          const question = fourOptionQuestion('question', 'correctIndex');
+          return {
+            ...question,
+            required: [...question.required, 'difficulty'],
+            properties: { ...question.properties, difficulty: str({ enum: ['easy', 'medium', 'hard'] }) }
+          };
+        })()
+      }
+    }
+  },
+
+  // POST /generateMCQs
+  mcqs: {
+    type: 'object',
+    required: ['mcqs'],
+    properties: {
+      mcqs: { type: 'array', items: fourOptionQuestion('q', 'answerIndex'), minItems: 1, maxItems: 30 }
+    }
+  },
+
+  // POST /generateQuiz: answers are given as option text
+  legacyQuiz: {
+    type: 'object',
+    required: ['questions'],
+    properties: {
+      questions: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 20,
+        items: {
+          type: 'object',
+          required: ['question', 'options', 'answer'],
+          properties: {
+            question: str(),
+            options: { type: 'array', items: str(), minItems: 4, maxItems: 4 },
+            answer: str(),
+            explanation: { type: 'string' }
+          },
+          check: (q) => (q.options.includes(q.answer) ? null : 'answer must be exactly one of the options')
+        }
+      }
+    }
+  },
+
+  // POST /generateRoadmap
+  roadmap: {
+    type: 'object',
+    required: ['weeks'],
+    properties: {
+      weeks: {
+        type: 'array',
+        minItems: 4,
+        maxItems: 4,
+        items: {
+          type: 'object',
+          required: ['week', 'theme', 'topics'],
+          properties: { week: int(1, 4), theme: str(), topics: { type: 'array', items: str(), minItems: 1 } }
+        }
+      }
+    }
+  },
+
+  // POST /verifyCode
+  codeVerdict: {
+    type: 'object',
+    required: ['correct', 'hint'],
+    properties: { correct: { type: 'boolean' }, output: { type: 'string' }, hint: { type: 'string' } }
+  },
+
+  // POST /submitInteractiveTask (Coding) and /verifyAiTask
+  gradeVerdict: {
+    type: 'object',
+    required: ['passed'],
+    properties: { passed: { type: 'boolean' }, feedback: { type: 'string' }, hint: { type: 'string' } }
+  },
+
+  // POST /generateDeepTask
+  deepTask: {
+    type: 'object',
+    required: ['taskTitle', 'difficulty', 'instructions', 'deliverableType'],
+    properties: {
+      taskTitle: str(),
+      difficulty: str({ enum: ['Easy', 'Medium', 'Hard'] }),
+      estimatedTime: { type: 'string' },
+      skillsTargeted: { type: 'array', items: str() },
+      instructions: { type: 'array', items: str(), minItems: 1, maxItems: 10 },
+      deliverableType: str({ enum: ['code_snippet', 'text_summary', 'file_upload'] })
+    }
+  },
+
+  // POST /startInteractiveTask, per taskType
+  interactiveChoice: {
+    type: 'object',
+    required: ['title', 'scenario', 'options', 'correctIndex', 'consequence'],
+    properties: {
+      title: str(),
+      scenario: str(),
+      role: { type: 'string' },
+      options: { type: 'array', items: str(), minItems: 4, maxItems: 4 },
+      correctIndex: int(0, 3),
+      consequence: str()
+    }
+  },
+  interactiveCoding: {
+    type: 'object',
+    required: ['title', 'scenario', 'starterCode'],
+    properties: { title: str(), scenario: str(), starterCode: { type: 'string' }, expectedOutput: { type: 'string' } }
+  },
+  interactiveTyping: {
+    type: 'object',
+    required: ['textToType'],
+    properties: { textToType: str() }
+  },
+  flashcards: {
+    type: 'object',
+    required: ['cards'],
+    properties: {
+      cards: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 20,
+        items: { type: 'object', required: ['front', 'back'], properties: { front: str(), back: str() } }
+      }
+    }
+  },
+
+  // lib/moderation.js LLM classifier
+  moderationVerdict: {
+    type: 'object',
+    required: ['flagged', 'category'],
+    properties: { flagged: { type: 'boolean' }, category: str(), reason: { type: 'string' } }
+  },
+
+  // POST /generatePersonalizedTasks
+  personalizedTasks: {
+    type: 'object',
+    required: ['tasks'],
+    properties: {
+      tasks: {
+        type: 'array',
+        minItems: 3,
+        maxItems: 3,
+        items: {
+          oneOf: [
+            {
+              type: 'object',
+              required: ['id', 'title', 'type', 'xp', 'content'],
+              properties: {
+                id: str(), title: str(), type: str({ enum: ['Coding'] }), xp: int(0, 500),
+                content: { type: 'object', required: ['problemStatement'], properties: { problemStatement: str(), starterCode: { type: 'string' } } }
+              }
+            },
+            {
+              type: 'object',
+              required: ['id', 'title', 'type', 'xp', 'content'],
+              properties: {
+                id: str(), title: str(), type: str({ enum: ['Quiz'] }), xp: int(0, 500),
+                content: fourOptionQuestion('question', 'answerIndex')
+              }
+            },
+            {
+              type: 'object',
+              required: ['id', 'title', 'type', 'xp', 'content'],
+              properties: {
+                id: str(), title: str(), type: str({ enum: ['Typing'] }), xp: int(0, 500),
+                content: { type: 'object', required: ['targetText'], properties: { targetText: str() } }
+              }
+            }
+          ]
+        }
+      }
+    }
+  }
+};
+
+module.exports = { AI_SCHEMAS, validate, placeholderFor };
@@ -0,0 +1,288 @@
+// lib/aiUsage.js
+const admin = require('firebase-admin');
+const { httpError, sendError } = require('./errors');
+
+// Token quotas per period; null means unlimited. Override with AI_QUOTAS_JSON = { roles: {...}, plans: {...} }.
+const DEFAULT_QUOTAS = {
+  roles: {
+    'student': { daily: 40000, monthly: 600000 },
+    'teacher': { daily: 100000, monthly: 2000000 },
+    'hod': { daily: 100000, monthly: 2000000 },
+    'institute-admin': { daily: 100000, monthly: 2000000 },
+    'super-admin': { daily: null, monthly: null }
+  },
+  // Shared by everyone in an institute, picked by institutes/{id}.aiPlan
+  plans: {
+    free: { daily: 300000, monthly: 5000000 },
+    standard: { daily: 2000000, monthly: 40000000 },
+    enterprise: { daily: null, monthly: null }
+  }
+};
+const DEFAULT_PLAN = 'free';
+
+function loadQuotas() {
+  if (!process.env.AI_QUOTAS_JSON) return DEFAULT_QUOTAS;
+  try {
+    const custom = JSON.parse(process.env.AI_QUOTAS_JSON);
+    return {
+      roles: { ...DEFAULT_QUOTAS.roles, ...custom.roles },
+      plans: { ...DEFAULT_QUOTAS.plans, ...custom.plans }
+    };
+  } catch (err) {
+    console.error("Invalid AI_QUOTAS_JSON, using defaults:", err.message);
+    return DEFAULT_QUOTAS;
+  }
+}
+const QUOTAS = loadQuotas();
+
+// USD per million tokens, for cost estimates on the dashboards
+const MODEL_PRICES = {
+  'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+  'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 }
+};
+
+const db = () => admin.firestore();
+
+// Periods are calendar days/months in UTC
+function periodsFor(date = new Date()) {
+  const iso = date.toISOString();
+  const nextDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+  const nextMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+  return {
+    daily: { key: iso.slice(0, 10), resetAt: nextDay.toISOString() },
+    monthly: { key: iso.slice(0, 7), resetAt: nextMonth.toISOString() }
+  };
+}
+
+const counterRef = (scope, scopeId, periodKey) => db().collection('ai_usage_counters').doc(`${scope}_${scopeId}_${periodKey}`);
+
+function estimateCost(model, promptTokens, completionTokens) {
+  const price = MODEL_PRICES[model];
+  if (!price) return 0;
+  return Math.round(((promptTokens * price.input + completionTokens * price.output) / 1e6) * 1e6) / 1e6;
+}
+
+/**
+ * Limits that apply to a user: their role's quota and their institute's plan (or its custom `aiQuota`).
+ */
+async function quotasFor(user) {
+  const roleQuota = QUOTAS.roles[user.role] || QUOTAS.roles.student;
+  let instituteQuota = null;
+  let plan = null;
+  if (user.instituteId) {
+    const snap = await db().collection('institutes').doc(user.instituteId).get();
+    const institute = snap.exists ? snap.data() : {};
+    plan = QUOTAS.plans[institute.aiPlan] ? institute.aiPlan : DEFAULT_PLAN;
+    instituteQuota = { ...QUOTAS.plans[plan], ...(institute.aiQuota || {}) };
+  }
+  return { roleQuota, instituteQuota, plan };
+}
+
+/**
+ * Current usage against every quota that applies to the user.
+ * @returns {Promise<{ scope: string, period: string, limit: number|null, used: number, resetAt: string }[]>}
+ */
+async function quotaStatus(user) {
+  const periods = periodsFor();
+  const { roleQuota, instituteQuota, plan } = await quotasFor(user);
+
+  const checks = [];
+  ['daily', 'monthly'].forEach(period => {
+    checks.push({ scope: 'user', scopeId: user.uid, period, limit: roleQuota[period] });
+    if (instituteQuota) checks.push({ scope: 'institute', scopeId: user.instituteId, period, limit: instituteQuota[period], plan });
+  });
+
+  const snaps = await db().getAll(...checks.map(c => counterRef(c.scope, c.scopeId, periods[c.period].key)));
+  return checks.map((c, i) => ({
+    scope: c.scope,
+    period: c.period,
+    ...(c.plan ? { plan: c.plan } : {}),
+    limit: c.limit ?? null,
+    used: snaps[i].exists ? snaps[i].data().tokens || 0 : 0,
+    resetAt: periods[c.period].resetAt
+  }));
+}
+
+/**
+ * Throws a 429 (code AI_QUOTA_EXCEEDED, with `resetAt`) when any applicable quota is used up.
+ */
+async function assertWithinQuota(user) {
+  const status = await quotaStatus(user);
+  const exceeded = status.find(q => q.limit !== null && q.used >= q.limit);
+  if (!exceeded) return;
+
+  const whose = exceeded.scope === 'user' ? 'Your' : "Your institute's";
+  const err = httpError(429, `${whose} ${exceeded.period} AI quota is used up. It resets at ${exceeded.resetAt}.`, 'AI_QUOTA_EXCEEDED');
+  err.details = { scope: exceeded.scope, period: exceeded.period, limit: exceeded.limit, used: exceeded.used, resetAt: exceeded.resetAt };
+  throw err;
+}
+
+/**
+ * Middleware for AI routes (after authenticate): rejects the request once a quota is exhausted.
+ */
+async function aiQuota(req, res, next) {
+  try {
+    await assertWithinQuota(req.user);
+    next();
+  } catch (err) {
+    if (err.status === 429) res.set('Retry-After', String(Math.max(1, Math.ceil((Date.parse(err.details.resetAt) - Date.now()) / 1000))));
+    return sendError(res, err);
+  }
+}
+
+/**
+ * Writes one model call to the `ai_usage` ledger and bumps the user and institute counters.
+ * @param {Object} entry
+ * @param {Object} entry.user - `req.user` of the caller.
+ * @param {string} entry.route
+ * @param {string} entry.model
+ * @param {{ promptTokens: number, completionTokens: number }} entry.usage
+ */
+async function recordUsage({ user, route, model, usage }) {
+  const periods = periodsFor();
+  const promptTokens = usage.promptTokens || 0;
+  const completionTokens = usage.completionTokens || 0;
+  const tokens = promptTokens + completionTokens;
+  const costUsd = estimateCost(model, promptTokens, completionTokens);
+  const increment = admin.firestore.FieldValue.increment;
+
+  const batch = db().batch();
+  batch.set(db().collection('ai_usage').doc(), {
+    uid: user.uid,
+    role: user.role || null,
+    instituteId: user.instituteId || null,
+    route,
+    model,
+    promptTokens,
+    completionTokens,
+    totalTokens: tokens,
+    costUsd,
+    day: periods.daily.key,
+    month: periods.monthly.key,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  const scopes = [['user', user.uid]];
+  if (user.instituteId) scopes.push(['institute', user.instituteId]);
+  scopes.forEach(([scope, scopeId]) => {
+    ['daily', 'monthly'].forEach(period => {
+      batch.set(counterRef(scope, scopeId, periods[period].key), {
+        scope,
+        scopeId,
+        instituteId: user.instituteId || null,
+        period,
+        periodKey: periods[period].key,
+        tokens: increment(tokens),
+        requests: increment(1),
+        costUsd: increment(costUsd),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+    });
+  });
+  await batch.commit();
+}
+
+function addTo(map, key, entry) {
+  const row = map[key] || (map[key] = { tokens: 0, requests: 0, costUsd: 0 });
+  row.tokens += entry.totalTokens || 0;
+  row.requests += 1;
+  row.costUsd = Math.round((row.costUsd + (entry.costUsd || 0)) * 1e6) / 1e6;
+}
+
+/**
+ * Dashboard numbers for one institute over a date range (YYYY-MM-DD, max 31 days):
+ * totals, per day, per route, per role and the heaviest users.
+ */
+async function instituteUsageReport(instituteId, { from, to }) {
+  const end = to || new Date().toISOString().slice(0, 10);
+  const start = from || `${end.slice(0, 7)}-01`;
+  if ((Date.parse(end) - Date.parse(start)) / 86400000 > 31) throw httpError(400, 'Date range cannot exceed 31 days');
+  if (isNaN(Date.parse(start)) || isNaN(Date.parse(end))) throw httpError(400, 'Dates must be YYYY-MM-DD');
+
+  const snap = await db().collection('ai_usage')
+    .where('instituteId', '==', instituteId)
+    .where('day', '>=', start)
+    .where('day', '<=', end)
+    .get();
+
+  const totals = { tokens: 0, requests: 0, costUsd: 0 };
+  const byDay = {};
+  const byRoute = {};
+  const byRole = {};
+  const byUser = {};
+  snap.docs.forEach(doc => {
+    const entry = doc.data();
+    totals.tokens += entry.totalTokens || 0;
+    totals.requests += 1;
+    totals.costUsd += entry.costUsd || 0;
+    addTo(byDay, entry.day, entry);
+    addTo(byRoute, entry.route, entry);
+    addTo(byRole, entry.role || 'unknown', entry);
+    addTo(byUser, entry.uid, entry);
+  });
+  totals.costUsd = Math.round(totals.costUsd * 1e6) / 1e6;
+
+  const topUsers = Object.entries(byUser)
+    .map(([uid, row]) => ({ uid, ...row }))
+    .sort((a, b) => b.tokens - a.tokens)
+    .slice(0, 10);
+
+  return { instituteId, from: start, to: end, totals, byDay, byRoute, byRole, topUsers };
+}
+
+/**
+ * Super admin overview: every institute's usage this month against its plan.
+ */
+async function usageOverview(month = periodsFor().monthly.key) {
+  const snap = await db().collection('ai_usage_counters')
+    .where('scope', '==', 'institute')
+    .where('periodKey', '==', month)
+    .get();
+  const institutes = snap.docs.map(doc => {
+    const { scopeId, tokens, requests, costUsd } = doc.data();
+    return { instituteId: scopeId, tokens, requests, costUsd };
+  });
+
+  const refs = institutes.map(i => db().collection('institutes').doc(i.instituteId));
+  const instituteSnaps = refs.length ? await db().getAll(...refs) : [];
+  instituteSnaps.forEach((s, i) => {
+    const data = s.exists ? s.data() : {};
+    const plan = QUOTAS.plans[data.aiPlan] ? data.aiPlan : DEFAULT_PLAN;
+    institutes[i].name = data.instituteName || data.name || null;
+    institutes[i].plan = plan;
+    institutes[i].monthlyLimit = { ...QUOTAS.plans[plan], ...(data.aiQuota || {}) }.monthly ?? null;
+  });
+
+  institutes.sort((a, b) => b.tokens - a.tokens);
+  return { month, institutes };
+}
+
+/**
+ * Sets an institute's plan and optional custom limits (`{ daily, monthly }`, null = plan default).
+ */
+async function updateInstitutePlan(instituteId, { plan, daily, monthly }) {
+  if (!QUOTAS.plans[plan]) throw httpError(400, `Plan must be one of: ${Object.keys(QUOTAS.plans).join(', ')}`);
+  const custom = {};
+  [['daily', daily], ['monthly', monthly]].forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    if (!(Number(value) >= 0)) throw httpError(400, `${key} must be a non-negative number`);
+    custom[key] = Number(value);
+  });
+  await db().collection('institutes').doc(instituteId).set({
+    aiPlan: plan,
+    aiQuota: Object.keys(custom).length ? custom : admin.firestore.FieldValue.delete()
+  }, { merge: true });
+}
+
+module.exports = {
+  QUOTAS,
+  aiQuota,
+  quotaStatus,
+  assertWithinQuota,
+  recordUsage,
+  instituteUsageReport,
+  usageOverview,
+  updateInstitutePlan
+};
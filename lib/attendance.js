@@ -0,0 +1,179 @@
+// lib/attendance.js
+const admin = require('firebase-admin');
+const { httpError } = require('./errors');
+const { assertCanManageSession } = require('./sessions');
+
+const ATTENDANCE_STATUSES = ['Present', 'Absent', 'Late'];
+// Statuses that count as attending a session (and towards users.attendanceCount)
+const ATTENDED_STATUSES = ['Present', 'Late'];
+
+function countsAsAttended(status) {
+  return ATTENDED_STATUSES.includes(status);
+}
+
+/**
+ * Sets a student's status for a past session, keeping the first recorded state in
+ * `original` and appending every change to `corrections`. `users.attendanceCount`
+ * moves by one whenever the correction crosses between attended and not attended.
+ * A missing attendance record is treated as 'Absent'.
+ * @param {Object} params
+ * @param {string} params.sessionId
+ * @param {string} params.studentId
+ * @param {string} params.status - One of ATTENDANCE_STATUSES.
+ * @param {string} params.reason - Mandatory justification stored with the change.
+ * @param {Object} params.corrector - `req.user` of the teacher making the change.
+ * @returns {Promise<{ from: string, to: string }>}
+ */
+async function correctAttendance({ sessionId, studentId, status, reason, corrector }) {
+  if (!sessionId || !studentId) throw httpError(400, 'Session ID and Student ID are required');
+  if (!ATTENDANCE_STATUSES.includes(status)) throw httpError(400, `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`);
+  if (!reason || !String(reason).trim()) throw httpError(400, 'A reason is required for every correction');
+
+  const db = admin.firestore();
+  const sessionRef = db.collection('live_sessions').doc(sessionId);
+  const userRef = db.collection('users').doc(studentId);
+  const recordRef = db.collection('attendance').doc(`${sessionId}_${studentId}`);
+
+  return db.runTransaction(async (t) => {
+    const [sessionSnap, userSnap, recordSnap] = await Promise.all([t.get(sessionRef), t.get(userRef), t.get(recordRef)]);
+    if (!sessionSnap.exists) throw httpError(404, 'Session not found');
+    if (!userSnap.exists) throw httpError(404, 'Student not found');
+
+    const session = sessionSnap.data();
+    const student = userSnap.data();
+    assertCanManageSession(session, corrector);
+    if (student.instituteId !== session.instituteId) throw httpError(400, 'Student is not part of this institute');
+
+    const record = recordSnap.exists ? recordSnap.data() : null;
+    const previous = record ? record.status : 'Absent';
+    if (previous === status) throw httpError(409, `Attendance is already ${status}`);
+
+    const entry = {
+      from: previous,
+      to: status,
+      reason: String(reason).trim(),
+      correctedBy: corrector.uid,
+      correctedAt: admin.firestore.Timestamp.now()
+    };
+
+    if (record) {
+      const update = {
+        status,
+        corrections: admin.firestore.FieldValue.arrayUnion(entry),
+        correctedBy: corrector.uid,
+        correctedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+      if (!record.original) update.original = { status: record.status, timestamp: record.timestamp || null };
+      t.update(recordRef, update);
+    } else {
+      t.set(recordRef, {
+        sessionId,
+        subject: session.subject || 'Class',
+        studentId,
+        studentEmail: student.email || null,
+        firstName: student.firstName || null,
+        lastName: student.lastName || null,
+        rollNo: student.rollNo || null,
+        instituteId: student.instituteId,
+        timestamp: session.startedAt || session.createdAt || admin.firestore.FieldValue.serverTimestamp(),
+        status,
+        source: 'manual',
+        original: null, // No record existed before the correction
+        corrections: [entry],
+        correctedBy: corrector.uid,
+        correctedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    const delta = Number(countsAsAttended(status)) - Number(countsAsAttended(previous));
+    if (delta !== 0) t.update(userRef, { attendanceCount: admin.firestore.FieldValue.increment(delta) });
+
+    return { from: previous, to: status };
+  });
+}
+
+/**
+ * Records a student's dispute against their attendance for a session.
+ * Only one dispute per student and session is allowed.
+ */
+async function raiseDispute({ sessionId, student, reason, requestedStatus = 'Present' }) {
+  if (!sessionId) throw httpError(400, 'Missing Session ID');
+  if (!reason || !String(reason).trim()) throw httpError(400, 'Please explain why the record is wrong');
+  if (!ATTENDED_STATUSES.includes(requestedStatus)) throw httpError(400, `Requested status must be one of: ${ATTENDED_STATUSES.join(', ')}`);
+
+  const db = admin.firestore();
+  const sessionSnap = await db.collection('live_sessions').doc(sessionId).get();
+  if (!sessionSnap.exists) throw httpError(404, 'Session not found');
+  const session = sessionSnap.data();
+  if (session.instituteId !== student.instituteId) throw httpError(403, 'Target belongs to another institute.');
+
+  const disputeRef = db.collection('attendance_disputes').doc(`${sessionId}_${student.uid}`);
+  try {
+    await disputeRef.create({
+      sessionId,
+      studentId: student.uid,
+      instituteId: session.instituteId,
+      teacherId: session.teacherId || null,
+      subject: session.subject || 'Class',
+      reason: String(reason).trim(),
+      requestedStatus,
+      status: 'pending',
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (err) {
+    if (err.code === 6) throw httpError(409, 'A dispute for this session already exists'); // ALREADY_EXISTS
+    throw err;
+  }
+  return disputeRef.id;
+}
+
+/**
+ * Accepts or rejects a pending dispute. Accepting applies the requested status as a correction.
+ * @param {string} disputeId
+ * @param {'accept'|'reject'} decision
+ * @param {string} [note] - Teacher's comment shown to the student.
+ * @param {Object} reviewer - `req.user` of the teacher.
+ */
+async function resolveDispute(disputeId, decision, note, reviewer) {
+  if (!['accept', 'reject'].includes(decision)) throw httpError(400, "Decision must be 'accept' or 'reject'");
+
+  const disputeRef = admin.firestore().collection('attendance_disputes').doc(disputeId);
+  const snap = await disputeRef.get();
+  if (!snap.exists) throw httpError(404, 'Dispute not found');
+  const dispute = snap.data();
+  if (dispute.status !== 'pending') throw httpError(409, `Dispute already ${dispute.status}`);
+
+  if (decision === 'accept') {
+    try {
+      await correctAttendance({
+        sessionId: dispute.sessionId,
+        studentId: dispute.studentId,
+        status: dispute.requestedStatus,
+        reason: `Dispute accepted: ${note || dispute.reason}`,
+        corrector: reviewer
+      });
+    } catch (err) {
+      // Someone already fixed the record; the dispute can still be closed
+      if (err.status !== 409) throw err;
+    }
+  } else {
+    const sessionSnap = await admin.firestore().collection('live_sessions').doc(dispute.sessionId).get();
+    if (sessionSnap.exists) assertCanManageSession(sessionSnap.data(), reviewer);
+  }
+
+  await disputeRef.update({
+    status: decision === 'accept' ? 'accepted' : 'rejected',
+    resolutionNote: note || null,
+    resolvedBy: reviewer.uid,
+    resolvedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  ATTENDED_STATUSES,
+  countsAsAttended,
+  correctAttendance,
+  raiseDispute,
+  resolveDispute
+};
@@ -0,0 +1,205 @@
+// lib/attendanceReport.js
+const admin = require('firebase-admin');
+const { stringify: stringifyCsv } = require('csv-stringify/sync');
+const PDFDocument = require('pdfkit');
+const { httpError } = require('./errors');
+const { ROLES } = require('./auth');
+const { ATTENDED_STATUSES } = require('./attendance');
+const { EXCUSED_STATUS } = require('./leaves');
+
+const DEFAULT_THRESHOLD = Number(process.env.DEFAULTER_THRESHOLD || 75);
+// Sessions per `in` query when loading their attendance records
+const SESSION_QUERY_CHUNK = 10;
+
+// Bare dates are UTC days, as `new Date('YYYY-MM-DD')` already reads `from`
+function parseRange(from, to) {
+  const start = from ? new Date(from) : new Date(0);
+  const end = to ? new Date(to) : new Date();
+  if (isNaN(start) || isNaN(end)) throw httpError(400, 'Invalid date range');
+  // A bare date for `to` covers the whole day
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+  if (start > end) throw httpError(400, '`from` must be before `to`');
+  return { start, end };
+}
+
+/**
+ * Computes per-student attendance for one subject against the sessions actually held.
+ * A student's denominator only includes sessions whose expected roster contained them
+ * (sessions without a recorded roster count for everyone), minus sessions excused by leave.
+ * @param {Object} params
+ * @param {string} params.instituteId
+ * @param {string} params.subject
+ * @param {string} [params.department] - Restrict students (and sessions) to one department.
+ * @param {string} [params.from] - ISO date, inclusive.
+ * @param {string} [params.to] - ISO date, inclusive.
+ * @param {number} [params.threshold] - Defaulter cut-off percentage.
+ */
+async function buildAttendanceReport({ instituteId, subject, department, from, to, threshold }) {
+  if (!subject) throw httpError(400, 'Subject is required');
+  const { start, end } = parseRange(from, to);
+  const cutoff = threshold !== undefined && threshold !== '' ? Number(threshold) : DEFAULT_THRESHOLD;
+  if (isNaN(cutoff) || cutoff < 0 || cutoff > 100) throw httpError(400, 'Threshold must be between 0 and 100');
+
+  const db = admin.firestore();
+  let studentsQuery = db.collection('users').where('instituteId', '==', instituteId).where('role', '==', ROLES.STUDENT);
+  if (department) studentsQuery = studentsQuery.where('department', '==', department);
+
+  // Sessions from before `startedAt` existed only carry `createdAt`, so both are queried and merged
+  const sessionsInRange = (field) => db.collection('live_sessions')
+    .where('instituteId', '==', instituteId)
+    .where('subject', '==', subject)
+    .where(field, '>=', admin.firestore.Timestamp.fromDate(start))
+    .where(field, '<=', admin.firestore.Timestamp.fromDate(end))
+    .get();
+  const [startedSnap, createdSnap, studentsSnap] = await Promise.all([
+    sessionsInRange('startedAt'),
+    sessionsInRange('createdAt'),
+    studentsQuery.get()
+  ]);
+
+  // 1. Sessions held in range (still-running sessions are not counted yet)
+  const sessions = new Map();
+  [startedSnap, createdSnap].forEach(snap => snap.forEach(doc => {
+    const session = doc.data();
+    if (session.isActive || sessions.has(doc.id)) return;
+    // A session with both stamps is judged by when it started
+    const started = session.startedAt && typeof session.startedAt.toMillis === 'function' ? session.startedAt.toDate() : null;
+    if (started && (started < start || started > end)) return;
+    if (department && session.department && session.department !== department) return;
+    sessions.set(doc.id, session);
+  }));
+
+  // 2. Attendance records per student for those sessions
+  const sessionIds = [...sessions.keys()];
+  const recordSnaps = [];
+  for (let i = 0; i < sessionIds.length; i += SESSION_QUERY_CHUNK) {
+    recordSnaps.push(await db.collection('attendance').where('sessionId', 'in', sessionIds.slice(i, i + SESSION_QUERY_CHUNK)).get());
+  }
+  const statusByStudent = new Map();
+  recordSnaps.forEach(snap => snap.forEach(doc => {
+    const record = doc.data();
+    if (!statusByStudent.has(record.studentId)) statusByStudent.set(record.studentId, new Map());
+    statusByStudent.get(record.studentId).set(record.sessionId, record.status);
+  }));
+
+  // 3. Per-student totals
+  const students = studentsSnap.docs.map(doc => {
+    const student = doc.data();
+    const statuses = statusByStudent.get(doc.id) || new Map();
+    let held = 0;
+    let attended = 0;
+    let late = 0;
+    let excused = 0;
+
+    sessions.forEach((session, sessionId) => {
+      const expected = !Array.isArray(session.expectedRoster) || session.expectedRoster.includes(doc.id);
+      const status = statuses.get(sessionId);
+      if (!expected && !status) return;
+      if (status === EXCUSED_STATUS) { excused++; return; }
+
+      held++;
+      if (ATTENDED_STATUSES.includes(status)) attended++;
+      if (status === 'Late') late++;
+    });
+
+    const percentage = held > 0 ? Math.round((attended / held) * 1000) / 10 : null;
+    return {
+      studentId: doc.id,
+      name: `${student.firstName || ''} ${student.lastName || ''}`.trim(),
+      rollNo: student.rollNo || '',
+      department: student.department || '',
+      held,
+      attended,
+      late,
+      excused,
+      absent: held - attended,
+      percentage,
+      isDefaulter: percentage !== null && percentage < cutoff
+    };
+  });
+
+  students.sort((a, b) => String(a.rollNo).localeCompare(String(b.rollNo), undefined, { numeric: true }));
+
+  return {
+    subject,
+    department: department || null,
+    from: start.toISOString(),
+    to: end.toISOString(),
+    threshold: cutoff,
+    sessionsHeld: sessions.size,
+    students,
+    defaulters: students.filter(s => s.isDefaulter)
+  };
+}
+
+const EXPORT_COLUMNS = ['rollNo', 'name', 'department', 'held', 'attended', 'late', 'excused', 'absent', 'percentage', 'isDefaulter'];
+
+/**
+ * Serializes a report as CSV text.
+ */
+function reportToCsv(report) {
+  const rows = report.students.map(s => {
+    const row = {};
+    EXPORT_COLUMNS.forEach(col => { row[col] = s[col] === null ? '' : s[col]; });
+    return row;
+  });
+  return stringifyCsv(rows, { header: true, columns: EXPORT_COLUMNS });
+}
+
+/**
+ * Renders a report as a PDF suitable for submission to the HOD.
+ * @returns {Promise<Buffer>}
+ */
+function reportToPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 40, size: 'A4' });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(16).text(`Attendance Report: ${report.subject}`);
+    doc.moveDown(0.3).fontSize(10)
+      .text(`Period: ${report.from.slice(0, 10)} to ${report.to.slice(0, 10)}`)
+      .text(`Department: ${report.department || 'All'}`)
+      .text(`Sessions held: ${report.sessionsHeld}  |  Defaulter threshold: ${report.threshold}%  |  Defaulters: ${report.defaulters.length}`);
+    doc.moveDown();
+
+    const columns = [
+      { label: 'Roll No', key: 'rollNo', width: 60 },
+      { label: 'Name', key: 'name', width: 130 },
+      { label: 'Held', key: 'held', width: 50 },
+      { label: 'Attended', key: 'attended', width: 60 },
+      { label: 'Late', key: 'late', width: 40 },
+      { label: 'Excused', key: 'excused', width: 50 },
+      { label: '%', key: 'percentage', width: 50 },
+      { label: 'Status', key: 'isDefaulter', width: 80 }
+    ];
+
+    const drawRow = (values, bold) => {
+      if (doc.y > doc.page.height - 60) doc.addPage();
+      const y = doc.y;
+      let x = doc.page.margins.left;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      values.forEach((value, i) => {
+        doc.text(String(value), x, y, { width: columns[i].width, ellipsis: true, lineBreak: false });
+        x += columns[i].width;
+      });
+      doc.x = doc.page.margins.left;
+      doc.y = y + 14;
+    };
+
+    drawRow(columns.map(c => c.label), true);
+    report.students.forEach(s => {
+      drawRow(columns.map(c => {
+        if (c.key === 'isDefaulter') return s.isDefaulter ? 'DEFAULTER' : 'OK';
+        if (c.key === 'percentage') return s.percentage === null ? '-' : `${s.percentage}`;
+        return s[c.key];
+      }), false);
+    });
+
+    doc.end();
+  });
+}
+
+module.exports = { buildAttendanceReport, reportToCsv, reportToPdf };
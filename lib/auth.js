@@ -0,0 +1,112 @@
+// lib/auth.js
+const admin = require('firebase-admin');
+
+// Roles written into custom claims by /createUser
+const ROLES = Object.freeze({
+  STUDENT: 'student',
+  TEACHER: 'teacher',
+  HOD: 'hod',
+  INSTITUTE_ADMIN: 'institute-admin',
+  SUPER_ADMIN: 'super-admin'
+});
+
+const STAFF_ROLES = [ROLES.TEACHER, ROLES.HOD, ROLES.INSTITUTE_ADMIN];
+const ADMIN_ROLES = [ROLES.INSTITUTE_ADMIN, ROLES.SUPER_ADMIN];
+
+/**
+ * Verifies the Firebase ID token in the `Authorization: Bearer <token>` header
+ * and exposes the caller as `req.user = { uid, email, role, instituteId }`.
+ */
+async function authenticate(req, res, next) {
+  const authHeader = req.headers.authorization || '';
+  const token = authHeader.split('Bearer ')[1];
+  if (!token) return res.status(401).json({ error: 'Missing token' });
+
+  try {
+    const decoded = await admin.auth().verifyIdToken(token);
+    req.user = {
+      uid: decoded.uid,
+      email: decoded.email || null,
+      role: decoded.role || null,
+      instituteId: decoded.instituteId || null
+    };
+    next();
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+}
+
+/**
+ * Builds the middleware chain for a route policy.
+ * @param {string[]} roles - Roles allowed to call the route. Empty means any signed-in user.
+ * @param {Object} [options]
+ * @param {Function} [options.institute] - `(req) => id | id[]` (may be async) resolving the
+ *   institute(s) the target belongs to. Every resolved id must match the caller's institute; a
+ *   target with no (or an unknown) institute is refused.
+ * @returns {Function[]} - Middleware array usable directly in `app.post(path, ...)`.
+ */
+function authorize(roles = [], { institute } = {}) {
+  const checkPolicy = async (req, res, next) => {
+    const { role, instituteId } = req.user;
+
+    if (roles.length > 0 && !roles.includes(role)) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action.' });
+    }
+
+    // Super admins operate across institutes
+    if (!institute || role === ROLES.SUPER_ADMIN) return next();
+
+    try {
+      const resolved = await institute(req);
+      const targets = Array.isArray(resolved) ? resolved : [resolved];
+      if (!instituteId || targets.some(id => !id || id !== instituteId)) {
+        return res.status(403).json({ error: 'Target belongs to another institute.' });
+      }
+      next();
+    } catch (err) {
+      console.error("Authorize Error:", err);
+      return res.status(500).json({ error: err.message });
+    }
+  };
+
+  return [authenticate, checkPolicy];
+}
+
+// --- Institute resolvers ---
+
+// Institute ID sent by the client in the body or query string, else the caller's own (as the routes default to)
+function instituteFromRequest(field = 'instituteId') {
+  return (req) => (req.body && req.body[field]) || (req.query && req.query[field]) || req.user.instituteId;
+}
+
+// Institute ID stored on the Firestore document whose ID is in `req.body[idField]`
+function instituteOfDoc(collection, idField) {
+  return async (req) => {
+    const docId = req.body[idField];
+    if (!docId) return null;
+    const snap = await admin.firestore().collection(collection).doc(docId).get();
+    return snap.exists ? snap.data().instituteId : null;
+  };
+}
+
+// Institute IDs of every user listed in `req.body[idsField]`
+function instituteOfUsers(idsField) {
+  return async (req) => {
+    const uids = req.body[idsField] || [];
+    if (uids.length === 0) return [];
+    const refs = uids.map(uid => admin.firestore().collection('users').doc(uid));
+    const snaps = await admin.firestore().getAll(...refs);
+    return snaps.map(s => (s.exists ? s.data().instituteId : null));
+  };
+}
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  ADMIN_ROLES,
+  authenticate,
+  authorize,
+  instituteFromRequest,
+  instituteOfDoc,
+  instituteOfUsers
+};
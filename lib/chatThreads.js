@@ -0,0 +1,266 @@
+// lib/chatThreads.js
+const admin = require('firebase-admin');
+const { callGroqAI, MODEL_ID } = require('./groqClient');
+const { groundingFor } = require('./courseMaterials');
+const { assertSafe } = require('./moderation');
+const { renderPrompt } = require('./prompts');
+const { httpError } = require('./errors');
+
+// Most recent messages sent verbatim with every turn
+const HISTORY_WINDOW = Number(process.env.CHAT_HISTORY_WINDOW || 12);
+// Rough cap (~4 chars per token) on the verbatim history so long pastes can't blow the context
+const HISTORY_CHAR_BUDGET = Number(process.env.CHAT_HISTORY_CHAR_BUDGET || 8000);
+// Older messages are folded into the thread summary once this many have fallen out of the window
+const SUMMARY_BATCH = 10;
+const MAX_TITLE_LENGTH = 60;
+const MAX_MESSAGE_LENGTH = 4000;
+
+const threadsRef = (uid) => admin.firestore().collection('users').doc(uid).collection('chat_threads');
+
+async function getOwnThread(uid, threadId) {
+  const ref = threadsRef(uid).doc(threadId);
+  const snap = await ref.get();
+  if (!snap.exists) throw httpError(404, 'Thread not found');
+  return { ref, thread: snap.data() };
+}
+
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const ms = new Date(value).getTime();
+  return isNaN(ms) ? null : ms;
+}
+
+/**
+ * Gathers what the coach should know about a student, from our own records only:
+ * profile, current topic, the last few quiz attempts and assignments due soon.
+ */
+async function buildStudentContext(uid) {
+  const db = admin.firestore();
+  const userSnap = await db.collection('users').doc(uid).get();
+  const user = userSnap.exists ? userSnap.data() : {};
+
+  const attemptsSnap = await db.collection('userProgress').doc(uid).collection('attempts')
+    .orderBy('timestamp', 'desc').limit(5).get();
+  const recentAttempts = attemptsSnap.docs.map(d => d.data()).map(a => ({ quizId: a.quizId, score: a.score }));
+
+  let upcomingAssignments = [];
+  if (user.department) {
+    const year = user.year || 'All';
+    const assignmentsSnap = await db.collection('assignments')
+      .where('department', '==', user.department)
+      .where('targetYear', 'in', [...new Set([year, 'All'])])
+      .get();
+    const now = Date.now();
+    upcomingAssignments = assignmentsSnap.docs.map(d => d.data())
+      .filter(a => (toMillis(a.dueDate) || 0) >= now)
+      .sort((a, b) => toMillis(a.dueDate) - toMillis(b.dueDate))
+      .slice(0, 3)
+      .map(a => ({ title: a.title, dueDate: a.dueDate }));
+  }
+
+  return {
+    firstName: user.firstName || 'Student',
+    department: user.department || null,
+    year: user.year || null,
+    semester: user.semester || null,
+    careerGoal: user.careerGoal || user.domain || null,
+    latestTopic: user.latestTopic?.topicName || null,
+    recentAttempts,
+    upcomingAssignments
+  };
+}
+
+// Profile fields, goals and assignment titles are user-entered, so they go to the model as a data block
+function buildSystemPrompt(context, summary) {
+  const lines = [];
+  if (context.department) lines.push(`- Department: ${context.department}${context.year ? `, Year ${context.year}` : ''}${context.semester ? `, Semester ${context.semester}` : ''}`);
+  if (context.careerGoal) lines.push(`- Career interest: ${context.careerGoal}`);
+  if (context.latestTopic) lines.push(`- Currently studying: ${context.latestTopic}`);
+  if (context.recentAttempts.length) {
+    lines.push(`- Recent quiz scores: ${context.recentAttempts.map(a => `${a.score ?? '?'}%`).join(', ')}`);
+  }
+  if (context.upcomingAssignments.length) {
+    lines.push(`- Upcoming assignments: ${context.upcomingAssignments.map(a => `${a.title} (due ${a.dueDate})`).join('; ')}`);
+  }
+  return renderPrompt('chatCoach', { firstName: context.firstName, contextLines: lines, summary });
+}
+
+/**
+ * Last HISTORY_WINDOW messages of a thread, oldest first, trimmed to HISTORY_CHAR_BUDGET.
+ */
+async function loadHistory(threadRef) {
+  const snap = await threadRef.collection('messages').orderBy('seq', 'desc').limit(HISTORY_WINDOW).get();
+  const history = [];
+  let chars = 0;
+  for (const doc of snap.docs) {
+    const { role, content } = doc.data();
+    if (!content) continue;
+    chars += content.length;
+    if (chars > HISTORY_CHAR_BUDGET && history.length > 0) break;
+    history.unshift({ role, content });
+  }
+  return history;
+}
+
+/**
+ * Resolves the thread (a new one is only written once a reply is recorded) and builds
+ * everything needed for the next model call, including course material matching the message.
+ * @param {Object} user - `req.user`.
+ * @param {string} [threadId]
+ * @param {string} message
+ * @param {Object} [options]
+ * @param {string} [options.subject] - Limits retrieval to one subject's material.
+ * @returns {Promise<{ user: Object, threadId: string, threadRef: Object, newThread: Object|null, systemPrompt: string, promptVersion: string, history: Object[], sources: Object[] }>}
+ */
+async function prepareTurn(user, threadId, message, { subject } = {}) {
+  const uid = user.uid;
+  if (!message || typeof message !== 'string') throw httpError(400, 'Message is required');
+  if (message.length > MAX_MESSAGE_LENGTH) throw httpError(400, `Message must be under ${MAX_MESSAGE_LENGTH} characters`);
+
+  let threadRef;
+  let thread;
+  let newThread = null;
+  if (threadId) {
+    ({ ref: threadRef, thread } = await getOwnThread(uid, threadId));
+  } else {
+    threadRef = threadsRef(uid).doc();
+    thread = newThread = {
+      title: message.trim().slice(0, MAX_TITLE_LENGTH),
+      messageCount: 0,
+      summary: null,
+      summarizedCount: 0
+    };
+  }
+
+  const [context, history, grounding] = await Promise.all([
+    buildStudentContext(uid),
+    newThread ? [] : loadHistory(threadRef),
+    groundingFor({ instituteId: user.instituteId, subject, query: message, limit: 3 })
+  ]);
+  const { systemPrompt, promptVersion } = buildSystemPrompt(context, thread.summary);
+  return {
+    user,
+    threadId: threadRef.id,
+    threadRef,
+    newThread,
+    systemPrompt: systemPrompt + grounding.prompt,
+    promptVersion,
+    history,
+    sources: grounding.sources
+  };
+}
+
+/**
+ * Appends the student's message and the coach's reply with consecutive `seq` numbers.
+ * @param {Object} turn - From prepareTurn().
+ * @param {string} [status] - 'complete' | 'cancelled' | 'failed' (partial streamed replies).
+ * @returns {Promise<string>} - ID of the stored reply.
+ */
+async function recordTurn(turn, message, reply, status = 'complete') {
+  const db = admin.firestore();
+  const { threadRef, newThread, sources = [], promptVersion = null } = turn;
+  const replyRef = threadRef.collection('messages').doc();
+  const messageCount = await db.runTransaction(async (t) => {
+    const snap = await t.get(threadRef);
+    if (!snap.exists && !newThread) throw httpError(404, 'Thread was deleted');
+    const seq = snap.exists ? snap.data().messageCount || 0 : 0;
+    t.set(threadRef.collection('messages').doc(), {
+      role: 'user', content: message, seq, createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    t.set(replyRef, {
+      role: 'assistant', content: reply, seq: seq + 1, status, sources, modelVersion: MODEL_ID, promptVersion,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    const counters = { messageCount: seq + 2, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    if (snap.exists) t.update(threadRef, counters);
+    else t.set(threadRef, { ...newThread, ...counters, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+    return seq + 2;
+  });
+
+  summarizeIfNeeded(turn.user, threadRef, messageCount).catch(err => console.error("Chat Summary Error:", err));
+  return replyRef.id;
+}
+
+/**
+ * Folds messages that have left the history window into the running thread summary.
+ */
+async function summarizeIfNeeded(user, threadRef, messageCount) {
+  const threadSnap = await threadRef.get();
+  const { summary, summarizedCount = 0 } = threadSnap.data();
+  const upTo = messageCount - HISTORY_WINDOW;
+  if (upTo - summarizedCount < SUMMARY_BATCH) return;
+
+  const snap = await threadRef.collection('messages')
+    .where('seq', '>=', summarizedCount).where('seq', '<', upTo).orderBy('seq').get();
+  const transcript = snap.docs.map(d => d.data())
+    .map(m => `${m.role === 'user' ? 'Student' : 'Coach'}: ${m.content}`).join('\n');
+
+  const { systemPrompt, userPrompt } = renderPrompt('chatSummary', { summary, transcript });
+  const newSummary = await callGroqAI(systemPrompt, userPrompt, false, { temperature: 0.2, maxTokens: 400, user, route: 'chatSummary' });
+
+  await threadRef.update({ summary: newSummary, summarizedCount: upTo });
+}
+
+/**
+ * One non-streamed chat turn.
+ * @returns {Promise<{ threadId: string, reply: string, messageId: string, sources: Object[] }>}
+ */
+async function sendChatMessage(user, threadId, message, options) {
+  const turn = await prepareTurn(user, threadId, message, options);
+  const reply = await callGroqAI(turn.systemPrompt, message, false, { history: turn.history, user, route: 'chat' });
+  // A withheld reply is never written to the thread, so it can't resurface through the history
+  await assertSafe(reply, { direction: 'output', user, route: 'chat' });
+  const messageId = await recordTurn(turn, message, reply || "No response.");
+  return { threadId: turn.threadId, reply: reply || "No response.", messageId, sources: turn.sources };
+}
+
+async function listThreads(uid) {
+  const snap = await threadsRef(uid).orderBy('updatedAt', 'desc').limit(50).get();
+  return snap.docs.map(doc => {
+    const { title, messageCount, createdAt, updatedAt } = doc.data();
+    return { id: doc.id, title, messageCount, createdAt, updatedAt };
+  });
+}
+
+/**
+ * Messages of a thread, oldest first. `before` (a seq) pages further back.
+ */
+async function getThreadMessages(uid, threadId, { before, limit = 50 } = {}) {
+  const { ref, thread } = await getOwnThread(uid, threadId);
+  let query = ref.collection('messages').orderBy('seq', 'desc');
+  if (before !== undefined) query = query.where('seq', '<', Number(before));
+  const snap = await query.limit(Math.min(Number(limit) || 50, 100)).get();
+  const messages = snap.docs.map(doc => ({ id: doc.id, ...doc.data() })).reverse();
+  return { thread: { id: threadId, title: thread.title, messageCount: thread.messageCount }, messages };
+}
+
+async function renameThread(uid, threadId, title) {
+  if (!title || !title.trim()) throw httpError(400, 'Title is required');
+  const { ref } = await getOwnThread(uid, threadId);
+  await ref.update({ title: title.trim().slice(0, MAX_TITLE_LENGTH), updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+}
+
+async function deleteThread(uid, threadId) {
+  const { ref } = await getOwnThread(uid, threadId);
+  const db = admin.firestore();
+  let snap;
+  do {
+    snap = await ref.collection('messages').limit(400).get();
+    const batch = db.batch();
+    snap.docs.forEach(doc => batch.delete(doc.ref));
+    if (!snap.empty) await batch.commit();
+  } while (snap.size === 400);
+  await ref.delete();
+}
+
+module.exports = {
+  buildStudentContext,
+  prepareTurn,
+  recordTurn,
+  sendChatMessage,
+  listThreads,
+  getThreadMessages,
+  renameThread,
+  deleteThread
+};
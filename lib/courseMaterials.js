@@ -0,0 +1,324 @@
+// lib/courseMaterials.js
+const admin = require('firebase-admin');
+const JSZip = require('jszip');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js'); // The package entry runs a self-test when required directly
+const { input } = require('./prompts');
+const { httpError } = require('./errors');
+
+const CHUNK_CHARS = 1000;
+const CHUNK_OVERLAP_CHARS = 150;
+const MAX_CHUNKS_PER_DOCUMENT = 1500;
+const MIN_SCORE = 0.05;
+const BATCH_SIZE = 400;
+
+const MATERIAL_TYPES = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx'
+};
+
+// Common words that would otherwise dominate every similarity score
+const STOPWORDS = new Set(('a an and are as at be but by can do does for from has have how i if in into is it its ' +
+  'of on or so such that the their then there these they this to was we were what when where which while who why ' +
+  'will with you your not no yes also than more most other some any each about over under between both after before').split(' '));
+
+const db = () => admin.firestore();
+
+function materialType(mimeType, fileName = '') {
+  if (MATERIAL_TYPES[mimeType]) return MATERIAL_TYPES[mimeType];
+  const ext = fileName.toLowerCase().split('.').pop();
+  return ['pdf', 'pptx'].includes(ext) ? ext : null;
+}
+
+// --- Text extraction ---
+
+async function extractPdfPages(buffer) {
+  const pages = [];
+  // pdf.js reads the whole underlying ArrayBuffer, so small pooled Buffers must be copied out first
+  await pdfParse(new Uint8Array(buffer), {
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent();
+      const text = content.items.map(item => item.str).join(' ');
+      pages.push({ page: pageData.pageIndex + 1, text });
+      return text;
+    }
+  });
+  return pages.sort((a, b) => a.page - b.page);
+}
+
+async function extractPptxPages(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const slides = Object.keys(zip.files)
+    .map(name => ({ name, match: name.match(/^ppt\/slides\/slide(\d+)\.xml$/) }))
+    .filter(s => s.match)
+    .map(s => ({ name: s.name, page: Number(s.match[1]) }))
+    .sort((a, b) => a.page - b.page);
+
+  return Promise.all(slides.map(async ({ name, page }) => {
+    const xml = await zip.file(name).async('string');
+    const runs = [...xml.matchAll(/<a:t>([^<]*)<\/a:t>/g)].map(m => decodeXml(m[1]));
+    return { page, text: runs.join(' ') };
+  }));
+}
+
+function decodeXml(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+/**
+ * Extracts text per page (PDF) or per slide (PPTX).
+ * @returns {Promise<{ page: number, text: string }[]>}
+ */
+async function extractPages(buffer, type) {
+  try {
+    return type === 'pdf' ? await extractPdfPages(buffer) : await extractPptxPages(buffer);
+  } catch (err) {
+    throw httpError(422, `Could not read the ${type.toUpperCase()} file: ${err.message}`);
+  }
+}
+
+// --- Chunking and term vectors ---
+
+/**
+ * Splits each page into ~CHUNK_CHARS pieces on word boundaries, overlapping so a sentence
+ * cut at a boundary is still retrievable. Chunks never span pages, so citations stay exact.
+ */
+function chunkPages(pages) {
+  const chunks = [];
+  pages.forEach(({ page, text }) => {
+    const words = text.replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+    let start = 0;
+    while (start < words.length) {
+      let end = start;
+      let length = 0;
+      while (end < words.length && length + words[end].length + 1 <= CHUNK_CHARS) {
+        length += words[end].length + 1;
+        end++;
+      }
+      if (end === start) end++; // A single over-long "word" still makes progress
+      chunks.push({ page, text: words.slice(start, end).join(' ') });
+      if (end >= words.length) break;
+
+      let back = end;
+      let overlap = 0;
+      while (back > start + 1 && overlap < CHUNK_OVERLAP_CHARS) {
+        back--;
+        overlap += words[back].length + 1;
+      }
+      start = back;
+    }
+  });
+  return chunks.filter(c => c.text.length > 20);
+}
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(t => t.length > 1 && !STOPWORDS.has(t))
+    .map(t => (t.length > 4 && t.endsWith('s') && !t.endsWith('ss') ? t.slice(0, -1) : t));
+}
+
+function termCounts(text) {
+  const counts = {};
+  tokenize(text).forEach(t => { counts[t] = (counts[t] || 0) + 1; });
+  return counts;
+}
+
+// --- Index maintenance ---
+
+const indexRef = (instituteId) => db().collection('course_indexes').doc(instituteId);
+
+// Any change to an institute's chunks bumps its version so cached indexes reload
+async function bumpIndexVersion(instituteId) {
+  await indexRef(instituteId).set({
+    version: admin.firestore.FieldValue.increment(1),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+}
+
+async function deleteChunks(documentId) {
+  let snap;
+  do {
+    snap = await db().collection('course_chunks').where('documentId', '==', documentId).limit(BATCH_SIZE).get();
+    const batch = db().batch();
+    snap.docs.forEach(doc => batch.delete(doc.ref));
+    if (!snap.empty) await batch.commit();
+  } while (snap.size === BATCH_SIZE);
+}
+
+/**
+ * (Re)builds the chunks of one uploaded document. Without `buffer` the original file is
+ * downloaded again from its stored URL.
+ * @returns {Promise<{ pageCount: number, chunkCount: number }>}
+ */
+async function indexDocument(documentId, buffer = null) {
+  const docRef = db().collection('course_documents').doc(documentId);
+  const snap = await docRef.get();
+  if (!snap.exists) throw httpError(404, 'Document not found');
+  const material = snap.data();
+
+  await docRef.update({ status: 'indexing', error: null });
+  try {
+    if (!buffer) {
+      const response = await fetch(material.fileUrl);
+      if (!response.ok) throw httpError(502, `Could not download the original file (${response.status})`);
+      buffer = Buffer.from(await response.arrayBuffer());
+    }
+
+    const pages = await extractPages(buffer, material.type);
+    const chunks = chunkPages(pages).slice(0, MAX_CHUNKS_PER_DOCUMENT);
+    if (chunks.length === 0) throw httpError(422, 'No text found. Scanned PDFs need OCR before upload.');
+
+    await deleteChunks(documentId);
+    for (let i = 0; i < chunks.length; i += BATCH_SIZE) {
+      const batch = db().batch();
+      chunks.slice(i, i + BATCH_SIZE).forEach((chunk, offset) => {
+        const index = i + offset;
+        batch.set(db().collection('course_chunks').doc(`${documentId}_${index}`), {
+          documentId,
+          instituteId: material.instituteId,
+          subject: material.subject,
+          title: material.title,
+          page: chunk.page,
+          index,
+          text: chunk.text,
+          terms: termCounts(chunk.text)
+        });
+      });
+      await batch.commit();
+    }
+
+    const stats = { pageCount: pages.length, chunkCount: chunks.length };
+    await docRef.update({ status: 'ready', ...stats, indexedAt: admin.firestore.FieldValue.serverTimestamp() });
+    await bumpIndexVersion(material.instituteId);
+    return stats;
+  } catch (err) {
+    await docRef.update({ status: 'failed', error: err.message });
+    throw err;
+  }
+}
+
+async function removeDocument(documentId) {
+  const docRef = db().collection('course_documents').doc(documentId);
+  const snap = await docRef.get();
+  if (!snap.exists) throw httpError(404, 'Document not found');
+  await deleteChunks(documentId);
+  await docRef.delete();
+  await bumpIndexVersion(snap.data().instituteId);
+}
+
+// --- Retrieval ---
+
+// instituteId -> { version, chunks, scopes: subject|'*' -> { chunks, idf, norms } }
+const indexCache = new Map();
+
+async function loadIndex(instituteId) {
+  const meta = await indexRef(instituteId).get();
+  const version = meta.exists ? meta.data().version : 0;
+  const cached = indexCache.get(instituteId);
+  if (cached && cached.version === version) return cached;
+
+  const snap = await db().collection('course_chunks').where('instituteId', '==', instituteId).get();
+  const entry = { version, chunks: snap.docs.map(doc => ({ id: doc.id, ...doc.data() })), scopes: new Map() };
+  indexCache.set(instituteId, entry);
+  return entry;
+}
+
+const tfWeight = (n) => 1 + Math.log(n);
+
+// IDF and vector norms are computed once per subject scope and index version
+function scopeOf(entry, subject) {
+  const key = subject || '*';
+  if (entry.scopes.has(key)) return entry.scopes.get(key);
+
+  const chunks = subject ? entry.chunks.filter(c => c.subject === subject) : entry.chunks;
+  const df = new Map();
+  chunks.forEach(c => Object.keys(c.terms).forEach(t => df.set(t, (df.get(t) || 0) + 1)));
+  const idf = new Map();
+  df.forEach((n, t) => idf.set(t, Math.log(1 + chunks.length / n)));
+  const norms = chunks.map(c => Math.sqrt(Object.entries(c.terms)
+    .reduce((sum, [t, n]) => sum + (tfWeight(n) * idf.get(t)) ** 2, 0)) || 1);
+
+  const scope = { chunks, idf, norms };
+  entry.scopes.set(key, scope);
+  return scope;
+}
+
+/**
+ * Finds the chunks most similar to `query` (TF-IDF cosine similarity), optionally within one subject.
+ * @param {Object} params
+ * @param {string} params.instituteId
+ * @param {string} [params.subject]
+ * @param {string} params.query
+ * @param {number} [params.limit=4]
+ * @returns {Promise<{ id: string, documentId: string, title: string, subject: string, page: number, text: string, score: number }[]>}
+ */
+async function retrieveChunks({ instituteId, subject, query, limit = 4 }) {
+  if (!instituteId || !query) return [];
+  const { chunks, idf, norms } = scopeOf(await loadIndex(instituteId), subject);
+  if (chunks.length === 0) return [];
+
+  const queryTerms = Object.keys(termCounts(query)).filter(t => idf.has(t));
+  if (queryTerms.length === 0) return [];
+  const queryNorm = Math.sqrt(queryTerms.reduce((sum, t) => sum + idf.get(t) ** 2, 0));
+
+  return chunks
+    .map((chunk, i) => {
+      let dot = 0;
+      queryTerms.forEach(t => {
+        const n = chunk.terms[t];
+        if (n) dot += idf.get(t) * tfWeight(n) * idf.get(t);
+      });
+      return { chunk, score: dot / (queryNorm * norms[i]) };
+    })
+    .filter(s => s.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ chunk, score }) => ({
+      id: chunk.id,
+      documentId: chunk.documentId,
+      title: chunk.title,
+      subject: chunk.subject,
+      page: chunk.page,
+      text: chunk.text,
+      score: Math.round(score * 1000) / 1000
+    }));
+}
+
+/**
+ * Numbered excerpts for a prompt plus the matching citation list for the response.
+ * @returns {{ context: string, sources: { ref: number, documentId: string, title: string, page: number }[] }}
+ */
+function formatSources(chunks) {
+  const context = chunks.map((c, i) => `[${i + 1}] ${c.title}, p. ${c.page}:\n${c.text}`).join('\n\n');
+  const sources = chunks.map((c, i) => ({ ref: i + 1, documentId: c.documentId, title: c.title, page: c.page }));
+  return { context, sources };
+}
+
+const GROUNDING_INSTRUCTIONS = `Base your answer on the course material excerpts below where they are relevant and cite them inline as [1], [2]. If they do not cover something, say so briefly and use general knowledge.`;
+
+/**
+ * Retrieval for a generation route: the prompt block to append, the citations to return,
+ * and a fingerprint of the chunks used (part of cache keys, so new material means new output).
+ * Everything is empty when the institute has no matching material.
+ * @returns {Promise<{ prompt: string, sources: Object[], fingerprint: string|null }>}
+ */
+async function groundingFor({ instituteId, subject, query, limit }) {
+  const chunks = await retrieveChunks({ instituteId, subject, query, limit });
+  if (chunks.length === 0) return { prompt: '', sources: [], fingerprint: null };
+  const { context, sources } = formatSources(chunks);
+  return {
+    prompt: `\n\n${GROUNDING_INSTRUCTIONS}\n\nCourse material excerpts:\n${input('course_material', context)}`,
+    sources,
+    fingerprint: chunks.map(c => c.id).join(',')
+  };
+}
+
+module.exports = {
+  materialType,
+  extractPages,
+  chunkPages,
+  indexDocument,
+  removeDocument,
+  retrieveChunks,
+  formatSources,
+  groundingFor
+};
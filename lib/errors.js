@@ -0,0 +1,26 @@
+// lib/errors.js
+
+/**
+ * Creates an Error carrying the HTTP status (and optional machine-readable code)
+ * that a route should respond with.
+ */
+function httpError(status, message, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+/**
+ * Sends an error thrown by a helper. Errors without a status are treated as 500s.
+ * Fields in `err.details` (e.g. a quota's `resetAt`) are added to the response body.
+ */
+function sendError(res, err) {
+  const status = err.status || 500;
+  const body = { error: err.message };
+  if (err.code && typeof err.code === 'string') body.code = err.code;
+  if (err.details) Object.assign(body, err.details);
+  return res.status(status).json(body);
+}
+
+module.exports = { httpError, sendError };
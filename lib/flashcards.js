@@ -0,0 +1,227 @@
+// lib/flashcards.js
+const admin = require('firebase-admin');
+const { initialState, schedule, isValidGrade } = require('./sm2');
+const { topicKeyFor } = require('./noteReviews');
+const { httpError } = require('./errors');
+
+const MAX_CARDS_PER_REQUEST = 50;
+const MAX_CARDS_PER_DECK = 500;
+const MAX_SIDE_LENGTH = 500;
+const MAX_TITLE_LENGTH = 80;
+
+const decksRef = (uid) => admin.firestore().collection('users').doc(uid).collection('decks');
+
+// Due cards are found with a collection-group query over every deck's `cards`, hence the `uid` on each card
+function cardDoc(uid, deckId, { front, back }, source, now) {
+  return {
+    uid,
+    deckId,
+    front,
+    back,
+    source,
+    ...initialState(now),
+    reviewCount: 0,
+    lastGrade: null,
+    lastReviewedAt: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+function cleanCards(cards) {
+  if (!Array.isArray(cards) || cards.length === 0) throw httpError(400, 'At least one card is required');
+  if (cards.length > MAX_CARDS_PER_REQUEST) throw httpError(400, `At most ${MAX_CARDS_PER_REQUEST} cards at a time`);
+  return cards.map((card, i) => {
+    const front = typeof card.front === 'string' ? card.front.trim() : '';
+    const back = typeof card.back === 'string' ? card.back.trim() : '';
+    if (!front || !back) throw httpError(400, `Card ${i + 1} needs a front and a back`);
+    if (front.length > MAX_SIDE_LENGTH || back.length > MAX_SIDE_LENGTH) throw httpError(400, `Card ${i + 1} is longer than ${MAX_SIDE_LENGTH} characters`);
+    return { front, back };
+  });
+}
+
+async function getOwnDeck(uid, deckId) {
+  const ref = decksRef(uid).doc(deckId);
+  const snap = await ref.get();
+  if (!snap.exists) throw httpError(404, 'Deck not found');
+  return { ref, deck: snap.data() };
+}
+
+async function listDecks(uid) {
+  const snap = await decksRef(uid).orderBy('updatedAt', 'desc').get();
+  return snap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Creates a deck by hand. Decks made this way are not tied to a topic unless one is given.
+ */
+async function createDeck(uid, { title, topic }) {
+  if (!title || !String(title).trim()) throw httpError(400, 'Title is required');
+  const ref = decksRef(uid).doc();
+  await ref.set({
+    title: String(title).trim().slice(0, MAX_TITLE_LENGTH),
+    topic: topic || null,
+    topicKey: topic ? topicKeyFor(topic) : null,
+    cardCount: 0,
+    source: 'manual',
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return ref.id;
+}
+
+/*
+ * The deck generated cards for a topic land in. Its ID is the topic hash, so every task,
+ * note and quiz on the same topic adds to one deck.
+ */
+async function ensureTopicDeck(uid, topic) {
+  const ref = decksRef(uid).doc(topicKeyFor(topic));
+  const snap = await ref.get();
+  if (!snap.exists) {
+    await ref.set({
+      title: String(topic).trim().slice(0, MAX_TITLE_LENGTH),
+      topic,
+      topicKey: ref.id,
+      cardCount: 0,
+      source: 'topic',
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+  return ref.id;
+}
+
+/**
+ * Adds cards to a deck; they are due for their first review straight away.
+ * @param {string} source - 'manual' | 'interactiveTask' | 'note' | 'quiz'.
+ * @returns {Promise<string[]>} - IDs of the new cards.
+ */
+async function addCards(uid, deckId, cards, source = 'manual') {
+  const clean = cleanCards(cards);
+  const { ref, deck } = await getOwnDeck(uid, deckId);
+  if ((deck.cardCount || 0) + clean.length > MAX_CARDS_PER_DECK) {
+    throw httpError(400, `A deck holds at most ${MAX_CARDS_PER_DECK} cards`);
+  }
+
+  const now = new Date();
+  const batch = admin.firestore().batch();
+  const ids = clean.map(card => {
+    const cardRef = ref.collection('cards').doc();
+    batch.set(cardRef, cardDoc(uid, deckId, card, source, now));
+    return cardRef.id;
+  });
+  batch.update(ref, {
+    cardCount: admin.firestore.FieldValue.increment(clean.length),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  await batch.commit();
+  return ids;
+}
+
+/**
+ * Adds cards to the topic's deck (creating it), or to `deckId` when the student picked one.
+ * @returns {Promise<{ deckId: string, cardIds: string[] }>}
+ */
+async function addCardsForTopic(uid, { topic, deckId, cards, source }) {
+  const targetDeck = deckId || await ensureTopicDeck(uid, topic);
+  const cardIds = await addCards(uid, targetDeck, cards, source);
+  return { deckId: targetDeck, cardIds };
+}
+
+async function getDeck(uid, deckId) {
+  const { ref, deck } = await getOwnDeck(uid, deckId);
+  const snap = await ref.collection('cards').orderBy('dueAt').get();
+  return { deck: { id: deckId, ...deck }, cards: snap.docs.map(doc => ({ id: doc.id, ...doc.data() })) };
+}
+
+async function deleteDeck(uid, deckId) {
+  const { ref } = await getOwnDeck(uid, deckId);
+  await admin.firestore().recursiveDelete(ref);
+}
+
+async function deleteCard(uid, deckId, cardId) {
+  const { ref } = await getOwnDeck(uid, deckId);
+  const cardRef = ref.collection('cards').doc(cardId);
+  const snap = await cardRef.get();
+  if (!snap.exists) throw httpError(404, 'Card not found');
+  await admin.firestore().recursiveDelete(cardRef);
+  await ref.update({
+    cardCount: admin.firestore.FieldValue.increment(-1),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+// Reviews are scheduled by UTC day, like the AI quota periods
+function endOfToday(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+/**
+ * Cards due by the end of today, most overdue first, across all decks or one.
+ */
+async function dueCards(uid, { deckId, limit = 50 } = {}) {
+  let query = admin.firestore().collectionGroup('cards').where('uid', '==', uid);
+  if (deckId) query = query.where('deckId', '==', deckId);
+  const snap = await query
+    .where('dueAt', '<', endOfToday())
+    .orderBy('dueAt')
+    .limit(Math.min(Number(limit) || 50, 200))
+    .get();
+  return snap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Records a review grade (0-5) and reschedules the card with SM-2.
+ * @returns {Promise<{ easeFactor: number, interval: number, repetitions: number, dueAt: Date }>}
+ */
+async function reviewCard(uid, deckId, cardId, grade) {
+  const value = Number(grade);
+  if (!isValidGrade(value)) throw httpError(400, 'Grade must be an integer from 0 to 5');
+  const { ref } = await getOwnDeck(uid, deckId);
+  const cardRef = ref.collection('cards').doc(cardId);
+
+  return admin.firestore().runTransaction(async (t) => {
+    const snap = await t.get(cardRef);
+    if (!snap.exists) throw httpError(404, 'Card not found');
+    const card = snap.data();
+    const now = new Date();
+    const next = schedule(card, value, now);
+
+    t.set(cardRef.collection('reviews').doc(), {
+      grade: value,
+      intervalBefore: card.interval || 0,
+      intervalAfter: next.interval,
+      easeFactor: next.easeFactor,
+      reviewedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    t.update(cardRef, {
+      ...next,
+      lastGrade: value,
+      lastReviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+      reviewCount: admin.firestore.FieldValue.increment(1)
+    });
+    return next;
+  });
+}
+
+/**
+ * Cards straight from a cached quiz: the question on the front, the right option (and why) on the back.
+ */
+function cardsFromQuiz(quiz) {
+  return (quiz.questions || []).slice(0, MAX_CARDS_PER_REQUEST).map(q => ({
+    front: q.question,
+    back: [q.options[q.correctIndex], q.explanation].filter(Boolean).join(' - ').slice(0, MAX_SIDE_LENGTH)
+  }));
+}
+
+module.exports = {
+  listDecks,
+  createDeck,
+  addCards,
+  addCardsForTopic,
+  getDeck,
+  deleteDeck,
+  deleteCard,
+  dueCards,
+  reviewCard,
+  cardsFromQuiz
+};
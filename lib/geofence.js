@@ -0,0 +1,198 @@
+// lib/geofence.js
+const admin = require('firebase-admin');
+const { httpError } = require('./errors');
+
+const EARTH_RADIUS_METERS = 6371000;
+const MAX_POLYGON_POINTS = 50;
+const MAX_CIRCLES = 10;
+
+const POLICY_MODES = ['strict', 'lenient', 'off'];
+// Deployment-wide demo switch; institutes without a saved policy follow it, as before policies existed
+const DEMO_MODE = (process.env.DEMO_MODE || 'true') === 'true';
+// Used until an institute saves its own attendancePolicy
+const DEFAULT_POLICY = Object.freeze({
+  mode: 'lenient',
+  demoBypass: DEMO_MODE,
+  defaultRadiusMeters: Number(process.env.ACCEPTABLE_RADIUS_METERS || 200),
+  maxAccuracyMeters: 100
+});
+
+const toRad = (x) => (x * Math.PI) / 180;
+
+function getDistance(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function isCoordinate(p) {
+  return p && typeof p.latitude === 'number' && typeof p.longitude === 'number' &&
+    Math.abs(p.latitude) <= 90 && Math.abs(p.longitude) <= 180;
+}
+
+/**
+ * Validates a room/campus geofence:
+ * `{ type: 'polygon', points: [{ latitude, longitude }, ...] }` or
+ * `{ type: 'circles', circles: [{ latitude, longitude, radiusMeters }, ...] }`.
+ * Optional `minAltitude`/`maxAltitude` (meters) restrict the floor when the device reports altitude.
+ */
+function validateGeofence(fence) {
+  if (!fence) return null;
+  if (fence.type === 'polygon') {
+    if (!Array.isArray(fence.points) || fence.points.length < 3 || fence.points.length > MAX_POLYGON_POINTS) {
+      throw httpError(400, `Polygon needs 3 to ${MAX_POLYGON_POINTS} points`);
+    }
+    if (!fence.points.every(isCoordinate)) throw httpError(400, 'Polygon points need numeric latitude and longitude');
+  } else if (fence.type === 'circles') {
+    if (!Array.isArray(fence.circles) || fence.circles.length < 1 || fence.circles.length > MAX_CIRCLES) {
+      throw httpError(400, `Provide 1 to ${MAX_CIRCLES} circles`);
+    }
+    if (!fence.circles.every(c => isCoordinate(c) && c.radiusMeters > 0)) {
+      throw httpError(400, 'Circles need latitude, longitude and a positive radiusMeters');
+    }
+  } else {
+    throw httpError(400, "Geofence type must be 'polygon' or 'circles'");
+  }
+  ['minAltitude', 'maxAltitude'].forEach(key => {
+    if (fence[key] !== undefined && typeof fence[key] !== 'number') throw httpError(400, `${key} must be a number`);
+  });
+  return fence;
+}
+
+/**
+ * Validates and fills an institute's attendancePolicy.
+ */
+function normalizePolicy(policy = {}) {
+  const merged = { ...DEFAULT_POLICY, ...policy };
+  if (!POLICY_MODES.includes(merged.mode)) throw httpError(400, `Mode must be one of: ${POLICY_MODES.join(', ')}`);
+  merged.demoBypass = merged.demoBypass === true || merged.demoBypass === 'true';
+  merged.defaultRadiusMeters = Number(merged.defaultRadiusMeters);
+  merged.maxAccuracyMeters = Number(merged.maxAccuracyMeters);
+  if (!(merged.defaultRadiusMeters > 0) || !(merged.maxAccuracyMeters > 0)) {
+    throw httpError(400, 'Radius and accuracy limits must be positive numbers');
+  }
+  return merged;
+}
+
+// Flat-earth projection around `origin`, accurate enough at classroom scale
+function project(origin, p) {
+  const x = toRad(p.longitude - origin.longitude) * Math.cos(toRad(origin.latitude)) * EARTH_RADIUS_METERS;
+  const y = toRad(p.latitude - origin.latitude) * EARTH_RADIUS_METERS;
+  return { x, y };
+}
+
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Distance in meters from a point to the geofence; 0 when the point is inside.
+ */
+function distanceOutside(fence, point) {
+  if (fence.type === 'circles') {
+    return Math.min(...fence.circles.map(c =>
+      Math.max(0, getDistance(c.latitude, c.longitude, point.latitude, point.longitude) - c.radiusMeters)));
+  }
+
+  // Polygon: ray casting for containment, nearest edge for distance
+  const origin = point;
+  const p = { x: 0, y: 0 };
+  const vertices = fence.points.map(v => project(origin, v));
+  let inside = false;
+  let nearest = Infinity;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[i];
+    const b = vertices[j];
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+    nearest = Math.min(nearest, distanceToSegment(p, a, b));
+  }
+  return inside ? 0 : nearest;
+}
+
+/**
+ * Decides whether a reported position satisfies the fence under the policy.
+ * strict: the fix must be inside and no less accurate than maxAccuracyMeters.
+ * lenient: the accuracy circle only has to touch the fence (accuracy capped at maxAccuracyMeters).
+ * @returns {{ allowed: boolean, reason: string|null, distanceMeters: number, accuracy: number|null }}
+ */
+function evaluateLocation(fence, point, policy) {
+  const accuracy = typeof point.accuracy === 'number' ? point.accuracy : null;
+  const distanceMeters = Math.round(distanceOutside(fence, point));
+  const result = { allowed: false, reason: null, distanceMeters, accuracy };
+
+  if (policy.mode === 'strict' && (accuracy === null || accuracy > policy.maxAccuracyMeters)) {
+    return { ...result, reason: 'inaccurate' };
+  }
+  if (typeof point.altitude === 'number') {
+    if ((fence.minAltitude !== undefined && point.altitude < fence.minAltitude) ||
+        (fence.maxAltitude !== undefined && point.altitude > fence.maxAltitude)) {
+      return { ...result, reason: 'wrong_floor' };
+    }
+  }
+
+  const tolerance = policy.mode === 'lenient' ? Math.min(accuracy || 0, policy.maxAccuracyMeters) : 0;
+  if (distanceMeters > tolerance) return { ...result, reason: 'outside' };
+  return { ...result, allowed: true };
+}
+
+async function logFailure(entry) {
+  await admin.firestore().collection('geofence_failures').add({
+    ...entry,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Applies the institute's attendance policy to a scan. Uses the session room's geofence,
+ * or a circle of `defaultRadiusMeters` around the session location when there is no room.
+ * Failed checks are logged to `geofence_failures` with distance and accuracy.
+ * @throws {Error} - httpError with code LOCATION_MISSING | LOCATION_INACCURATE | WRONG_FLOOR | OUTSIDE_GEOFENCE.
+ */
+async function verifyAttendanceLocation({ sessionId, session, studentId, studentLocation }) {
+  const db = admin.firestore();
+  const instituteSnap = session.instituteId ? await db.collection('institutes').doc(session.instituteId).get() : null;
+  const policy = normalizePolicy((instituteSnap && instituteSnap.exists && instituteSnap.data().attendancePolicy) || {});
+  if (policy.demoBypass || policy.mode === 'off') return { checked: false };
+
+  let fence = null;
+  if (session.roomId) {
+    const roomSnap = await db.collection('rooms').doc(session.roomId).get();
+    if (roomSnap.exists) fence = roomSnap.data().geofence || null;
+  }
+  if (!fence && isCoordinate(session.location)) {
+    fence = { type: 'circles', circles: [{ ...session.location, radiusMeters: policy.defaultRadiusMeters }] };
+  }
+
+  const base = { sessionId, studentId, instituteId: session.instituteId || null, roomId: session.roomId || null, mode: policy.mode };
+  if (!fence || !isCoordinate(studentLocation)) {
+    await logFailure({ ...base, reason: 'missing', distanceMeters: null, accuracy: null });
+    throw httpError(400, 'Location data missing', 'LOCATION_MISSING');
+  }
+
+  const result = evaluateLocation(fence, studentLocation, policy);
+  if (result.allowed) return { checked: true, ...result };
+
+  await logFailure({ ...base, reason: result.reason, distanceMeters: result.distanceMeters, accuracy: result.accuracy, location: studentLocation });
+  if (result.reason === 'inaccurate') {
+    throw httpError(400, `GPS accuracy too low (${Math.round(result.accuracy || 0)}m). Move near a window and retry.`, 'LOCATION_INACCURATE');
+  }
+  if (result.reason === 'wrong_floor') throw httpError(403, 'You do not appear to be in this classroom.', 'WRONG_FLOOR');
+  throw httpError(403, `Too far! You are ${result.distanceMeters}m away.`, 'OUTSIDE_GEOFENCE');
+}
+
+module.exports = {
+  DEMO_MODE,
+  DEFAULT_POLICY,
+  getDistance,
+  validateGeofence,
+  normalizePolicy,
+  evaluateLocation,
+  verifyAttendanceLocation
+};
@@ -1,8 +1,27 @@
 // lib/groqClient.js
 const crypto = require('crypto');
+const path = require('path');
+const admin = require('firebase-admin');
+const { LLMError, PROVIDER_DEFAULTS, createProvider } = require('./llmProviders');
+const { validate } = require('./aiSchemas');
+const { recordUsage } = require('./aiUsage');
 
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
-const MODEL_ID = "llama-3.3-70b-versatile";
+// --- Provider configuration ---
+// LLM_PROVIDER: groq (default) | openai | local (any OpenAI-compatible server) | mock
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'groq';
+const MODEL_ID = process.env.LLM_MODEL || (PROVIDER_DEFAULTS[LLM_PROVIDER] || {}).model || "llama-3.3-70b-versatile";
+const FALLBACK_MODEL_ID = process.env.LLM_FALLBACK_MODEL || null;
+const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS || 30000);
+const LLM_MAX_RETRIES = Number(process.env.LLM_MAX_RETRIES || 2);
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+
+const provider = createProvider({
+  provider: LLM_PROVIDER,
+  baseUrl: process.env.LLM_BASE_URL,
+  apiKey: process.env.LLM_API_KEY || (LLM_PROVIDER === 'groq' ? process.env.GROQ_API_KEY : undefined),
+  fixturesDir: process.env.LLM_MOCK_FIXTURES || path.join(__dirname, '..', 'fixtures', 'llm')
+});
 
 /**
  * Computes a SHA-256 hash for caching keys.
@@ -11,70 +30,216 @@ function computeHash(data) {
   return crypto.createHash('sha256').update(data).digest('hex');
 }
 
+// Earlier turns (`{ role: 'user'|'assistant', content }`) go between the system prompt and the new message
+function buildMessages(systemPrompt, userPrompt, history = []) {
+  return [
+    { role: "system", content: systemPrompt },
+    ...history.map(m => ({ role: m.role, content: m.content })),
+    { role: "user", content: userPrompt }
+  ];
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function backoffDelay(attempt, err) {
+  if (err.retryAfterMs) return Math.min(err.retryAfterMs, BACKOFF_MAX_MS);
+  const exp = Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+  return exp / 2 + Math.random() * (exp / 2); // Jitter so parallel requests don't retry in lockstep
+}
+
+/**
+ * Sends one completion to a model, retrying 429/5xx/timeouts with exponential backoff.
+ */
+async function completeWithRetry(request) {
+  let lastError;
+  for (let attempt = 0; attempt <= LLM_MAX_RETRIES; attempt++) {
+    try {
+      return await provider.complete(request);
+    } catch (err) {
+      lastError = err;
+      if (!err.retryable || attempt === LLM_MAX_RETRIES) break;
+      const delay = backoffDelay(attempt, err);
+      console.warn(`LLM retry ${attempt + 1}/${LLM_MAX_RETRIES} for ${request.model} in ${Math.round(delay)}ms: ${err.message}`);
+      await sleep(delay);
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Sends the messages to the primary model, falling back to LLM_FALLBACK_MODEL when the
+ * primary keeps failing with a retryable error or is not available (404).
+ * @returns {Promise<{ content: string, model: string, usage: Object }>}
+ */
+async function completeWithFallback(request) {
+  try {
+    return await completeWithRetry(request);
+  } catch (err) {
+    const canFallBack = FALLBACK_MODEL_ID && FALLBACK_MODEL_ID !== request.model && (err.retryable || err.status === 404);
+    if (!canFallBack) throw err;
+    console.warn(`LLM falling back from ${request.model} to ${FALLBACK_MODEL_ID}: ${err.message}`);
+    return completeWithRetry({ ...request, model: FALLBACK_MODEL_ID });
+  }
+}
+
+// Strips Markdown code fences the model sometimes wraps JSON in
+function parseJsonContent(content) {
+  const cleaned = content.replace(/```json|```/g, '').trim();
+  try {
+    return { value: JSON.parse(cleaned), errors: [] };
+  } catch (parseErr) {
+    return { value: null, errors: [`Output is not valid JSON: ${parseErr.message}`] };
+  }
+}
+
+// Providers that don't report usage (some local servers) get a ~4 chars/token estimate
+function estimateUsage(messages, content) {
+  const promptChars = messages.reduce((sum, m) => sum + String(m.content).length, 0);
+  return { promptTokens: Math.ceil(promptChars / 4), completionTokens: Math.ceil(content.length / 4) };
+}
+
+/**
+ * Adds a completed call to the usage ledger when the caller is known. Never fails the AI call.
+ */
+function trackUsage(options, request, result) {
+  if (!options.user) return;
+  const usage = result.usage && (result.usage.promptTokens || result.usage.completionTokens)
+    ? result.usage
+    : estimateUsage(request.messages, result.content || '');
+  recordUsage({ user: options.user, route: options.route || 'unknown', model: result.model || request.model, usage })
+    .catch(err => console.error("AI Usage Error:", err.message));
+}
+
 /**
- * Robustly calls Groq AI and handles JSON parsing logic.
+ * Counts schema validation outcomes per route in `ai_validation_stats/{route}`
+ * (`failures`, `repaired`, `rejected`) for monitoring. Never fails the AI call.
+ */
+function recordValidationOutcome(route, outcome, errors) {
+  try {
+    admin.firestore().collection('ai_validation_stats').doc(route).set({
+      [outcome]: admin.firestore.FieldValue.increment(1),
+      ...(errors ? { lastErrors: errors, lastFailureAt: admin.firestore.FieldValue.serverTimestamp() } : {})
+    }, { merge: true }).catch(err => console.error("Validation stats error:", err.message));
+  } catch (err) {
+    console.error("Validation stats error:", err.message);
+  }
+}
+
+/**
+ * Robustly calls the configured LLM provider and handles JSON parsing logic.
+ * With `options.schema`, JSON output is validated; malformed output gets one re-prompt
+ * carrying the validation errors, and is rejected with AI_INVALID_OUTPUT if it still fails.
  * @param {string} systemPrompt - The system instruction.
  * @param {string} userPrompt - The user request.
  * @param {boolean} jsonMode - Whether to enforce JSON output.
+ * @param {Object} [options]
+ * @param {number} [options.temperature=0.5]
+ * @param {number} [options.maxTokens] - Completion token cap.
+ * @param {string} [options.model] - Overrides the configured primary model.
+ * @param {number} [options.timeoutMs] - Per-request timeout.
+ * @param {Object} [options.schema] - Entry of AI_SCHEMAS (JSON mode only).
+ * @param {string} [options.route] - Route name used for validation stats.
+ * @param {Object[]} [options.history] - Earlier conversation turns, oldest first.
+ * @param {Object} [options.user] - `req.user`; when set, token usage is recorded against them.
  * @returns {Promise<Object|string>} - Parsed JSON object or raw string.
  */
-async function callGroqAI(systemPrompt, userPrompt, jsonMode = false) {
-  if (!GROQ_API_KEY) throw new Error("Missing GROQ_API_KEY environment variable.");
-
-  const payload = {
-    model: MODEL_ID,
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: userPrompt }
-    ],
-    temperature: 0.5, // Balance creativity and deterministic output
+async function callGroqAI(systemPrompt, userPrompt, jsonMode = false, options = {}) {
+  const request = {
+    model: options.model || MODEL_ID,
+    messages: buildMessages(systemPrompt, userPrompt, options.history),
+    temperature: options.temperature ?? 0.5, // Balance creativity and deterministic output
+    maxTokens: options.maxTokens,
+    jsonMode,
+    schema: options.schema, // Real providers ignore it; the mock shapes its placeholder from it
+    timeoutMs: options.timeoutMs || LLM_TIMEOUT_MS
   };
 
-  if (jsonMode) {
-    payload.response_format = { type: "json_object" };
-  }
-
   try {
-    const response = await fetch("https://api.groq.com/openai/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${GROQ_API_KEY}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-      const errText = await response.text();
-      throw new Error(`Groq API Error ${response.status}: ${errText}`);
-    }
+    const result = await completeWithFallback(request);
+    trackUsage(options, request, result);
+    if (!jsonMode) return result.content;
+
+    const route = options.route || 'unknown';
+    let { value, errors } = parseJsonContent(result.content);
+    if (errors.length === 0 && options.schema) errors = validate(options.schema, value);
+    if (errors.length === 0) return value;
+
+    // 🛠️ Repair: show the model its own output and what is wrong with it, once
+    console.warn(`AI output failed validation on ${route}:`, errors);
+    recordValidationOutcome(route, 'failures', errors);
+    const repairRequest = {
+      ...request,
+      messages: [
+        ...request.messages,
+        { role: "assistant", content: result.content },
+        { role: "user", content: `Your JSON did not match the required format:\n- ${errors.join('\n- ')}\nReturn the corrected JSON only.` }
+      ]
+    };
+    const repaired = await completeWithFallback(repairRequest);
+    trackUsage(options, repairRequest, repaired);
 
-    const data = await response.json();
-    let content = data.choices?.[0]?.message?.content || "";
-
-    // 🛡️ Robust Parsing: Strip Markdown code blocks if present
-    if (jsonMode) {
-      content = content.replace(/```json|```/g, '').trim();
-      try {
-        return JSON.parse(content);
-      } catch (parseErr) {
-        console.error("JSON Parse failed on:", content);
-        throw new Error("AI returned invalid JSON. Please try again.");
-      }
+    ({ value, errors } = parseJsonContent(repaired.content));
+    if (errors.length === 0 && options.schema) errors = validate(options.schema, value);
+    if (errors.length === 0) {
+      recordValidationOutcome(route, 'repaired');
+      return value;
     }
 
-    return content;
+    console.error(`AI output rejected on ${route}:`, errors);
+    recordValidationOutcome(route, 'rejected', errors);
+    throw new LLMError("AI returned invalid output. Please try again.", { code: 'AI_INVALID_OUTPUT' });
   } catch (error) {
     console.error("callGroqAI Error:", error);
     throw error;
   }
 }
 
-// Simple safety filter (expand list as needed)
-function isUnsafe(text) {
-  const BAD_WORDS = ['hate', 'violence', 'explicit', 'kill', 'suicide']; // Add distinct list
-  const lower = text.toLowerCase();
-  return BAD_WORDS.some(word => lower.includes(word));
+/**
+ * Streams a plain-text completion, relaying deltas to `onToken`. Connection failures are
+ * retried like callGroqAI, but only until the first token has been sent on.
+ * @param {string} systemPrompt
+ * @param {string} userPrompt
+ * @param {Object} options
+ * @param {(text: string) => void} options.onToken
+ * @param {AbortSignal} [options.signal] - Abort to cancel (rejects with AI_CANCELLED).
+ * @param {number} [options.temperature=0.5]
+ * @param {number} [options.maxTokens]
+ * @param {number} [options.timeoutMs] - Bounds the whole stream.
+ * @param {Object[]} [options.history] - Earlier conversation turns, oldest first.
+ * @param {Object} [options.user] - `req.user`; when set, token usage is recorded against them.
+ * @param {string} [options.route] - Route name for the usage ledger.
+ * @returns {Promise<{ content: string, model: string, usage: Object }>}
+ */
+async function streamGroqAI(systemPrompt, userPrompt, options = {}) {
+  const { onToken, signal, temperature, maxTokens, timeoutMs, history } = options;
+  if (typeof provider.stream !== 'function') throw new LLMError(`${provider.name} provider cannot stream`, { code: 'AI_NOT_CONFIGURED' });
+
+  let streamed = '';
+  const request = {
+    model: MODEL_ID,
+    messages: buildMessages(systemPrompt, userPrompt, history),
+    temperature: temperature ?? 0.5,
+    maxTokens,
+    timeoutMs: timeoutMs || LLM_TIMEOUT_MS * 4, // Long answers take a while to stream out
+    signal,
+    onToken: (text) => {
+      streamed += text;
+      onToken(text);
+    }
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await provider.stream(request);
+      trackUsage(options, request, result);
+      return result;
+    } catch (err) {
+      // Tokens already generated before a cancel or failure are still billed
+      if (streamed) trackUsage(options, request, { content: streamed, model: MODEL_ID });
+      if (streamed || !err.retryable || attempt >= LLM_MAX_RETRIES || (signal && signal.aborted)) throw err;
+      await sleep(backoffDelay(attempt, err));
+    }
+  }
 }
 
-module.exports = { callGroqAI, computeHash, isUnsafe, MODEL_ID };
+module.exports = { callGroqAI, streamGroqAI, computeHash, MODEL_ID, LLM_PROVIDER, LLMError };
@@ -0,0 +1,258 @@
+// lib/interactiveTasks.js
+const admin = require('firebase-admin');
+const { callGroqAI } = require('./groqClient');
+const { AI_SCHEMAS } = require('./aiSchemas');
+const { assertSafe } = require('./moderation');
+const { renderPrompt } = require('./prompts');
+const { httpError } = require('./errors');
+
+/*
+ * Interactive tasks are stored in `interactive_tasks` when they are handed out. The student
+ * only ever sees the public part; the answer key stays in `key` and every submission is graded
+ * against it. XP is paid once per task, when it is first passed, up to DAILY_TASK_XP_CAP a day.
+ */
+const TASKS = 'interactive_tasks';
+const TASK_TTL_MS = 24 * 60 * 60 * 1000;
+// Coding and typing can be retried until they pass; a choice question takes one answer
+const MAX_ATTEMPTS = 5;
+const MAX_CODE_LENGTH = 10000;
+
+// XP per kind of task, whatever the model suggested
+const TASK_XP = { choice: 20, coding: 50, typing: 30 };
+// Tasks can be generated on demand, so what they pay out is capped per student per (UTC) day
+const DAILY_TASK_XP_CAP = Number(process.env.DAILY_TASK_XP_CAP || 200);
+const KIND_BY_TYPE = { Simulation: 'choice', Mystery: 'choice', Quiz: 'choice', Coding: 'coding', Typing: 'typing' };
+
+// Typing pass mark, and the speed above which the text was clearly pasted
+const TYPING_MIN_WPM = 30;
+const TYPING_MIN_ACCURACY = 90;
+const TYPING_MAX_WPM = 200;
+
+const tasksRef = () => admin.firestore().collection(TASKS);
+
+function taskDoc(user, { taskType, source, title, key }) {
+  const now = Date.now();
+  return {
+    uid: user.uid,
+    instituteId: user.instituteId || null,
+    taskType,
+    kind: KIND_BY_TYPE[taskType],
+    source,
+    title: title || null,
+    key,
+    xp: TASK_XP[KIND_BY_TYPE[taskType]],
+    status: 'open', // open | passed | closed
+    attempts: 0,
+    issuedAt: admin.firestore.Timestamp.fromMillis(now),
+    expiresAt: admin.firestore.Timestamp.fromMillis(now + TASK_TTL_MS),
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+/**
+ * Stores a task from /startInteractiveTask and returns what the student may see, with `taskId`.
+ * FlashCard sets are not graded, so they are passed through unchanged.
+ */
+async function issueInteractiveTask(user, taskType, data) {
+  if (!KIND_BY_TYPE[taskType]) return data;
+  let key;
+  let shown = data;
+  if (KIND_BY_TYPE[taskType] === 'choice') {
+    const { correctIndex, consequence, ...rest } = data;
+    key = { answerIndex: correctIndex, explanation: consequence || null };
+    shown = rest;
+  } else if (taskType === 'Coding') {
+    key = { problemStatement: data.scenario };
+  } else {
+    key = { targetText: data.textToType };
+  }
+
+  const ref = tasksRef().doc();
+  await ref.set(taskDoc(user, { taskType, source: 'interactive', title: data.title, key }));
+  return { ...shown, taskId: ref.id, xp: TASK_XP[KIND_BY_TYPE[taskType]] };
+}
+
+/**
+ * Stores the three tasks from /generatePersonalizedTasks. Each comes back with its stored ID
+ * as `id`, the XP it is worth and, for the quiz, no answer.
+ */
+async function issuePersonalizedTasks(user, tasks) {
+  const batch = admin.firestore().batch();
+  const shown = tasks.map(task => {
+    let key;
+    let content = task.content;
+    if (task.type === 'Quiz') {
+      const { answerIndex, explanation, ...rest } = task.content;
+      key = { answerIndex, explanation: explanation || null };
+      content = rest;
+    } else if (task.type === 'Coding') {
+      key = { problemStatement: task.content.problemStatement };
+    } else {
+      key = { targetText: task.content.targetText };
+    }
+
+    const ref = tasksRef().doc();
+    batch.set(ref, taskDoc(user, { taskType: task.type, source: 'personalized', title: task.title, key }));
+    return { ...task, id: ref.id, xp: TASK_XP[KIND_BY_TYPE[task.type]], content };
+  });
+  await batch.commit();
+  return shown;
+}
+
+// Edits needed to turn one string into the other
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Speed and accuracy from what was typed and the server's clock: the time runs from the
+ * beginTask call for this attempt to the submission, so nothing the client reports can raise the
+ * WPM. Gross WPM above TYPING_MAX_WPM fails as pasted.
+ */
+function scoreTyping(task, { typedText }) {
+  const target = task.key.targetText;
+  if (typeof typedText !== 'string' || !typedText.trim()) throw httpError(400, 'Typed text is required');
+  if (!task.startedAt) throw httpError(409, 'Start the typing task before submitting it', 'TASK_NOT_STARTED');
+  const duration = Math.max(Date.now() - task.startedAt.toMillis(), 1);
+
+  const typed = typedText.slice(0, target.length * 2);
+  const wpm = Math.round((typed.length / 5) / (duration / 60000));
+  const accuracy = Math.round(Math.max(0, 1 - editDistance(typed, target) / target.length) * 100);
+
+  if (wpm > TYPING_MAX_WPM) {
+    return { passed: false, wpm, accuracy, feedback: `${wpm} WPM isn't humanly possible here. Type the text yourself.` };
+  }
+  if (wpm >= TYPING_MIN_WPM && accuracy >= TYPING_MIN_ACCURACY) {
+    return { passed: true, wpm, accuracy, feedback: `🔥 Fast Fingers! ${wpm} WPM & ${accuracy}% Accuracy.` };
+  }
+  return {
+    passed: false,
+    wpm,
+    accuracy,
+    feedback: `Too slow or inaccurate. You need >${TYPING_MIN_WPM} WPM and >${TYPING_MIN_ACCURACY}% Accuracy. (You: ${wpm} WPM, ${accuracy}%)`
+  };
+}
+
+function scoreChoice(task, { answerIndex }) {
+  if (!Number.isInteger(answerIndex) || answerIndex < 0 || answerIndex > 3) throw httpError(400, 'Answer must be an option index from 0 to 3');
+  const passed = answerIndex === task.key.answerIndex;
+  return {
+    passed,
+    feedback: passed ? "Correct! Well done." : "Incorrect. Try again next time.",
+    correctIndex: task.key.answerIndex,
+    explanation: task.key.explanation
+  };
+}
+
+async function scoreCoding(task, { code }, user) {
+  if (typeof code !== 'string' || !code.trim()) throw httpError(400, 'Code is required');
+  if (code.length > MAX_CODE_LENGTH) throw httpError(400, `Code is longer than ${MAX_CODE_LENGTH} characters`);
+
+  const { systemPrompt, userPrompt } = renderPrompt('gradeCodingTask', { problemStatement: task.key.problemStatement, code });
+  const aiCheck = await callGroqAI(systemPrompt, userPrompt, true, { schema: AI_SCHEMAS.gradeVerdict, route: 'submitInteractiveTask', user });
+  await assertSafe(aiCheck, { direction: 'output', user, route: 'submitInteractiveTask' });
+
+  if (aiCheck.passed) return { passed: true, feedback: aiCheck.feedback || "Code Verified! Excellent logic." };
+  return { passed: false, feedback: "Keep trying! See the hint below.", hint: aiCheck.hint || "Something is off. Check your syntax." };
+}
+
+function assertSubmittable(task, user) {
+  if (!task || task.uid !== user.uid) throw httpError(404, 'Task not found');
+  if (task.status === 'passed') throw httpError(409, 'Task already completed', 'TASK_REDEEMED');
+  if (task.status === 'closed' || task.attempts >= MAX_ATTEMPTS) throw httpError(409, 'No attempts left for this task', 'TASK_CLOSED');
+  if (task.expiresAt.toMillis() < Date.now()) throw httpError(410, 'Task has expired', 'TASK_EXPIRED');
+}
+
+/**
+ * Starts the clock for the next attempt at a typing task, when the student starts typing.
+ * Calling it again restarts the clock.
+ * @returns {Promise<number>} - Start time in epoch milliseconds.
+ */
+async function beginTask(user, taskId) {
+  const ref = tasksRef().doc(taskId);
+  return admin.firestore().runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    const task = snap.exists ? snap.data() : null;
+    assertSubmittable(task, user);
+    if (task.kind !== 'typing') throw httpError(400, 'Only typing tasks are timed');
+    const startedAt = admin.firestore.Timestamp.now();
+    t.update(ref, { startedAt });
+    return startedAt.toMillis();
+  });
+}
+
+/**
+ * Grades a submission against the stored task and pays its XP the first time it passes, within
+ * the student's daily task XP cap.
+ * @param {Object} submission - `{ answerIndex }` for Simulation/Mystery/Quiz, `{ code }` for Coding,
+ *   `{ typedText }` for Typing (timed by the server from beginTask; each attempt needs its own).
+ * @returns {Promise<Object>} - `passed`, `credits`, `dailyCapReached`, `feedback`, `attemptsLeft`
+ *   and per-type details.
+ */
+async function submitTask(user, taskId, submission) {
+  if (!submission || typeof submission !== 'object' || Array.isArray(submission)) {
+    throw httpError(400, 'Submission must be an object');
+  }
+  const db = admin.firestore();
+  const ref = tasksRef().doc(taskId);
+  const snap = await ref.get();
+  const task = snap.exists ? snap.data() : null;
+  assertSubmittable(task, user);
+
+  // Graded before the transaction (coding needs the model); the transaction re-checks the task is still open
+  let verdict;
+  if (task.kind === 'choice') verdict = scoreChoice(task, submission);
+  else if (task.kind === 'typing') verdict = scoreTyping(task, submission);
+  else verdict = await scoreCoding(task, submission, user);
+
+  const userRef = db.collection('users').doc(user.uid);
+  return db.runTransaction(async (t) => {
+    const [current, userSnap] = await Promise.all([t.get(ref), t.get(userRef)]);
+    const latest = current.data();
+    assertSubmittable(latest, user);
+    if (task.kind === 'typing' && !(latest.startedAt && latest.startedAt.isEqual(task.startedAt))) {
+      throw httpError(409, 'The typing task was restarted; submit the new attempt', 'TASK_NOT_STARTED');
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const profile = userSnap.exists ? userSnap.data() : {};
+    const earnedToday = profile.taskXpDate === today ? (profile.taskXpToday || 0) : 0;
+
+    const attempts = latest.attempts + 1;
+    const status = verdict.passed ? 'passed' : (task.kind === 'choice' || attempts >= MAX_ATTEMPTS ? 'closed' : 'open');
+    const credits = verdict.passed ? Math.max(0, Math.min(latest.xp, DAILY_TASK_XP_CAP - earnedToday)) : 0;
+    t.update(ref, {
+      attempts,
+      status,
+      lastSubmittedAt: admin.firestore.FieldValue.serverTimestamp(),
+      // A typing retry is timed from its own beginTask call
+      ...(task.kind === 'typing' ? { startedAt: admin.firestore.FieldValue.delete() } : {}),
+      ...(verdict.passed ? { passedAt: admin.firestore.FieldValue.serverTimestamp(), xpAwarded: credits } : {}),
+      ...(verdict.wpm !== undefined ? { wpm: verdict.wpm, accuracy: verdict.accuracy } : {})
+    });
+    if (credits) {
+      t.update(userRef, {
+        xp: admin.firestore.FieldValue.increment(credits),
+        taskXpDate: today,
+        taskXpToday: earnedToday + credits
+      });
+    }
+
+    return {
+      ...verdict,
+      credits,
+      dailyCapReached: verdict.passed && credits < latest.xp,
+      attemptsLeft: status === 'open' ? MAX_ATTEMPTS - attempts : 0
+    };
+  });
+}
+
+module.exports = { TASK_XP, issueInteractiveTask, issuePersonalizedTasks, beginTask, submitTask };
@@ -0,0 +1,166 @@
+// lib/leaves.js
+const admin = require('firebase-admin');
+
+const LEAVE_APPROVED = 'approved';
+// Attendance status for sessions missed during an approved leave (excluded from percentages)
+const EXCUSED_STATUS = 'Excused';
+// Firestore batches take at most 500 writes
+const BATCH_LIMIT = 500;
+
+function leaveRange(leave) {
+  const from = new Date(leave.fromDate);
+  const to = new Date(leave.toDate || leave.fromDate);
+  if (isNaN(from) || isNaN(to)) return null;
+  from.setHours(0, 0, 0, 0);
+  to.setHours(23, 59, 59, 999);
+  return { from, to };
+}
+
+function sessionDate(session) {
+  const ts = session.startedAt || session.createdAt;
+  return ts && typeof ts.toDate === 'function' ? ts.toDate() : null;
+}
+
+function studentExpected(session, studentId, department) {
+  if (Array.isArray(session.expectedRoster)) return session.expectedRoster.includes(studentId);
+  return !session.department || session.department === department;
+}
+
+/**
+ * Marks one student's session as Excused unless they already attended it.
+ * Absent records keep their previous status in `statusBeforeLeave` so revoking can restore it.
+ * @returns {Promise<boolean>} - True when the record was excused.
+ */
+async function excuseSession(t, sessionId, session, leaveId, leave) {
+  const recordRef = admin.firestore().collection('attendance').doc(`${sessionId}_${leave.studentId}`);
+  const recordSnap = await t.get(recordRef);
+
+  if (!recordSnap.exists) {
+    t.set(recordRef, {
+      sessionId,
+      subject: session.subject || 'Class',
+      studentId: leave.studentId,
+      firstName: leave.studentName || null,
+      rollNo: leave.rollNo || null,
+      instituteId: leave.instituteId,
+      timestamp: session.startedAt || session.createdAt || admin.firestore.FieldValue.serverTimestamp(),
+      status: EXCUSED_STATUS,
+      source: 'leave',
+      leaveId
+    });
+    return true;
+  }
+
+  const record = recordSnap.data();
+  if (record.status !== 'Absent') return false;
+  t.update(recordRef, { status: EXCUSED_STATUS, leaveId, statusBeforeLeave: record.status });
+  return true;
+}
+
+/**
+ * Excuses every ended session in the leave's date range that the student was expected at.
+ * Running sessions are skipped; they are handled when they end (see excuseLeavesForSession).
+ * Also stores the range on the leave as `excuseFrom`/`excuseTo` so sessions can find it.
+ * Safe to repeat: records already excused are left as they are.
+ * @returns {Promise<number>} - Number of sessions excused.
+ */
+async function applyLeaveExcusals(leaveId) {
+  const db = admin.firestore();
+  const leaveRef = db.collection('leave_requests').doc(leaveId);
+  const leaveSnap = await leaveRef.get();
+  if (!leaveSnap.exists) return 0;
+  const leave = leaveSnap.data();
+  const range = leaveRange(leave);
+  if (!range || !leave.studentId || !leave.instituteId) return 0;
+
+  await leaveRef.update({
+    excuseFrom: admin.firestore.Timestamp.fromDate(range.from),
+    excuseTo: admin.firestore.Timestamp.fromDate(range.to)
+  });
+
+  // Sessions from before `startedAt` existed only carry `createdAt`, so both are queried
+  const endedInRange = (field) => db.collection('live_sessions')
+    .where('instituteId', '==', leave.instituteId)
+    .where('isActive', '==', false)
+    .where(field, '>=', admin.firestore.Timestamp.fromDate(range.from))
+    .where(field, '<=', admin.firestore.Timestamp.fromDate(range.to))
+    .get();
+  const snaps = await Promise.all([endedInRange('startedAt'), endedInRange('createdAt')]);
+  const sessions = new Map();
+  snaps.forEach(snap => snap.docs.forEach(doc => {
+    const date = sessionDate(doc.data());
+    if (date && date >= range.from && date <= range.to) sessions.set(doc.id, doc.data());
+  }));
+
+  let excused = 0;
+  for (const [sessionId, session] of sessions) {
+    if (!studentExpected(session, leave.studentId, leave.department)) continue;
+
+    const applied = await db.runTransaction(t => excuseSession(t, sessionId, session, leaveId, leave));
+    if (applied) excused++;
+  }
+  return excused;
+}
+
+/**
+ * Undoes applyLeaveExcusals: records created by the leave are removed and absent records restored.
+ * Records a teacher has since corrected to another status are left alone.
+ * @returns {Promise<number>} - Number of records reverted.
+ */
+async function revokeLeaveExcusals(leaveId) {
+  const db = admin.firestore();
+  const snap = await db.collection('attendance').where('leaveId', '==', leaveId).get();
+
+  const writes = [];
+  snap.forEach(doc => {
+    const record = doc.data();
+    if (record.status !== EXCUSED_STATUS) return;
+    writes.push(record.source === 'leave'
+      ? (batch) => batch.delete(doc.ref)
+      : (batch) => batch.update(doc.ref, {
+        status: record.statusBeforeLeave || 'Absent',
+        leaveId: admin.firestore.FieldValue.delete(),
+        statusBeforeLeave: admin.firestore.FieldValue.delete()
+      }));
+  });
+
+  for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_LIMIT).forEach(write => write(batch));
+    await batch.commit();
+  }
+  return writes.length;
+}
+
+/**
+ * Excuses students with an approved leave covering a session that just ended.
+ * @returns {Promise<number>} - Number of students excused.
+ */
+async function excuseLeavesForSession(sessionId) {
+  const db = admin.firestore();
+  const sessionSnap = await db.collection('live_sessions').doc(sessionId).get();
+  if (!sessionSnap.exists) return 0;
+  const session = sessionSnap.data();
+  const date = sessionDate(session);
+  if (!date || !session.instituteId) return 0;
+
+  // Only leaves ending on or after the session; the start is checked below
+  const leavesSnap = await db.collection('leave_requests')
+    .where('instituteId', '==', session.instituteId)
+    .where('status', '==', LEAVE_APPROVED)
+    .where('excuseTo', '>=', admin.firestore.Timestamp.fromDate(date))
+    .get();
+
+  let excused = 0;
+  for (const doc of leavesSnap.docs) {
+    const leave = doc.data();
+    if (leave.excuseFrom.toDate() > date) continue;
+    if (!leave.studentId || !studentExpected(session, leave.studentId, leave.department)) continue;
+
+    const applied = await db.runTransaction(t => excuseSession(t, sessionId, session, doc.id, leave));
+    if (applied) excused++;
+  }
+  return excused;
+}
+
+module.exports = { LEAVE_APPROVED, EXCUSED_STATUS, applyLeaveExcusals, revokeLeaveExcusals, excuseLeavesForSession };
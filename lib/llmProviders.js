@@ -0,0 +1,217 @@
+// lib/llmProviders.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { placeholderFor } = require('./aiSchemas');
+
+/**
+ * Error raised by a provider call. `retryable` marks rate limits, 5xx, timeouts and network failures.
+ */
+class LLMError extends Error {
+  constructor(message, { status = null, code = 'AI_PROVIDER_ERROR', retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Any OpenAI-compatible `/chat/completions` endpoint: Groq, OpenAI, or a local
+ * llama.cpp / Ollama server (`http://localhost:11434/v1`).
+ * @param {Object} config
+ * @param {string} config.name - Label used in logs and errors.
+ * @param {string} config.baseUrl - API root, without `/chat/completions`.
+ * @param {string} [config.apiKey] - Sent as a Bearer token when present.
+ * @param {boolean} [config.requireKey] - Fail fast when the key is missing.
+ */
+function createOpenAICompatibleProvider({ name, baseUrl, apiKey, requireKey = false }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  async function post({ model, messages, temperature, maxTokens, jsonMode, stream }, signal, timeoutMs) {
+    if (requireKey && !apiKey) throw new LLMError(`Missing API key for ${name} provider.`, { code: 'AI_NOT_CONFIGURED' });
+
+    const payload = { model, messages, temperature };
+    if (maxTokens) payload.max_tokens = maxTokens;
+    if (jsonMode) payload.response_format = { type: "json_object" };
+    if (stream) payload.stream = true;
+    if (stream) payload.stream_options = { include_usage: true }; // Usage arrives on the last chunk
+
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers["Authorization"] = `Bearer ${apiKey}`;
+
+    let response;
+    try {
+      response = await fetch(url, { method: "POST", headers, body: JSON.stringify(payload), signal });
+    } catch (err) {
+      if (err.name === 'AbortError') throw new LLMError(`${name} request cancelled`, { code: 'AI_CANCELLED' });
+      const timedOut = err.name === 'TimeoutError';
+      throw new LLMError(timedOut ? `${name} request timed out after ${timeoutMs}ms` : `${name} unreachable: ${err.message}`, {
+        code: timedOut ? 'AI_TIMEOUT' : 'AI_UNREACHABLE',
+        retryable: true
+      });
+    }
+
+    if (!response.ok) {
+      const errText = await response.text();
+      const retryable = response.status === 429 || response.status >= 500;
+      throw new LLMError(`${name} API Error ${response.status}: ${errText}`, {
+        status: response.status,
+        code: response.status === 429 ? 'AI_RATE_LIMITED' : 'AI_PROVIDER_ERROR',
+        retryable,
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+      });
+    }
+    return response;
+  }
+
+  return {
+    name,
+    /**
+     * @returns {Promise<{ content: string, model: string, usage: { promptTokens: number, completionTokens: number } }>}
+     */
+    async complete({ model, messages, temperature, maxTokens, jsonMode, timeoutMs }) {
+      const response = await post({ model, messages, temperature, maxTokens, jsonMode }, AbortSignal.timeout(timeoutMs), timeoutMs);
+      const data = await response.json();
+      return {
+        content: data.choices?.[0]?.message?.content || "",
+        model: data.model || model,
+        usage: {
+          promptTokens: data.usage?.prompt_tokens || 0,
+          completionTokens: data.usage?.completion_tokens || 0
+        }
+      };
+    },
+
+    /**
+     * Streams a completion, calling `onToken` for each text delta as it arrives.
+     * `timeoutMs` bounds the whole stream; aborting `signal` stops it with AI_CANCELLED.
+     * @returns {Promise<{ content: string, model: string, usage: { promptTokens: number, completionTokens: number } }>}
+     */
+    async stream({ model, messages, temperature, maxTokens, timeoutMs, signal, onToken }) {
+      const signals = [AbortSignal.timeout(timeoutMs)];
+      if (signal) signals.push(signal);
+      const combined = AbortSignal.any(signals);
+      const response = await post({ model, messages, temperature, maxTokens, stream: true }, combined, timeoutMs);
+
+      let content = "";
+      let usage = { promptTokens: 0, completionTokens: 0 };
+      let buffer = "";
+      const decoder = new TextDecoder();
+      try {
+        for await (const chunk of response.body) {
+          buffer += decoder.decode(chunk, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+          for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+            const data = trimmed.slice(5).trim();
+            if (data === '[DONE]') continue;
+            const event = JSON.parse(data);
+            const delta = event.choices?.[0]?.delta?.content;
+            if (delta) {
+              content += delta;
+              onToken(delta);
+            }
+            // Groq reports usage on the final chunk under x_groq, OpenAI under usage
+            const reported = event.usage || event.x_groq?.usage;
+            if (reported) usage = { promptTokens: reported.prompt_tokens || 0, completionTokens: reported.completion_tokens || 0 };
+          }
+        }
+      } catch (err) {
+        if (signal && signal.aborted) throw new LLMError(`${name} stream cancelled`, { code: 'AI_CANCELLED' });
+        if (err.name === 'TimeoutError' || err.name === 'AbortError') {
+          throw new LLMError(`${name} stream timed out after ${timeoutMs}ms`, { code: 'AI_TIMEOUT' });
+        }
+        throw new LLMError(`${name} stream failed: ${err.message}`, { code: 'AI_PROVIDER_ERROR' });
+      }
+      return { content, model, usage };
+    }
+  };
+}
+
+/**
+ * Offline provider for development and tests. Replies are looked up in
+ * `<fixturesDir>/<sha256 of the request>.json` (`{ "content": "..." }`); without a
+ * fixture it returns a fixed placeholder so the same prompt always gives the same output.
+ * In JSON mode the placeholder is built from the request's `schema`, so it passes validation.
+ */
+function createMockProvider({ fixturesDir }) {
+  return {
+    name: 'mock',
+    async complete({ model, messages, jsonMode, schema }) {
+      const key = crypto.createHash('sha256')
+        .update(JSON.stringify({ messages, jsonMode: Boolean(jsonMode) }))
+        .digest('hex');
+      const fixturePath = path.join(fixturesDir, `${key}.json`);
+
+      let content;
+      if (fs.existsSync(fixturePath)) {
+        const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+        content = typeof fixture.content === 'string' ? fixture.content : JSON.stringify(fixture.content);
+      } else {
+        content = jsonMode
+          ? JSON.stringify(schema ? placeholderFor(schema) : { mock: true, fixture: key })
+          : `[mock response ${key.slice(0, 8)}]`;
+      }
+
+      const promptChars = messages.reduce((sum, m) => sum + String(m.content).length, 0);
+      return {
+        content,
+        model,
+        usage: { promptTokens: Math.ceil(promptChars / 4), completionTokens: Math.ceil(content.length / 4) }
+      };
+    },
+
+    // Replays the fixture word by word so streaming clients can be exercised offline
+    async stream({ model, messages, signal, onToken }) {
+      const result = await this.complete({ model, messages, jsonMode: false });
+      for (const token of result.content.match(/\S+\s*|\s+/g) || []) {
+        if (signal && signal.aborted) throw new LLMError('mock stream cancelled', { code: 'AI_CANCELLED' });
+        onToken(token);
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      return result;
+    }
+  };
+}
+
+const PROVIDER_DEFAULTS = {
+  groq: { baseUrl: "https://api.groq.com/openai/v1", model: "llama-3.3-70b-versatile", requireKey: true },
+  openai: { baseUrl: "https://api.openai.com/v1", model: "gpt-4o-mini", requireKey: true },
+  local: { baseUrl: "http://localhost:11434/v1", model: "llama3.1", requireKey: false }
+};
+
+/**
+ * Builds the provider selected by configuration.
+ * @param {Object} config
+ * @param {string} config.provider - 'groq' | 'openai' | 'local' | 'mock'.
+ * @param {string} [config.baseUrl] - Overrides the provider's default endpoint.
+ * @param {string} [config.apiKey]
+ * @param {string} [config.fixturesDir] - Mock provider only.
+ */
+function createProvider({ provider, baseUrl, apiKey, fixturesDir }) {
+  if (provider === 'mock') return createMockProvider({ fixturesDir });
+
+  const defaults = PROVIDER_DEFAULTS[provider];
+  if (!defaults) throw new Error(`Unknown LLM_PROVIDER "${provider}". Use groq, openai, local or mock.`);
+  return createOpenAICompatibleProvider({
+    name: provider,
+    baseUrl: baseUrl || defaults.baseUrl,
+    apiKey,
+    requireKey: defaults.requireKey
+  });
+}
+
+module.exports = { LLMError, PROVIDER_DEFAULTS, createProvider, createOpenAICompatibleProvider, createMockProvider };
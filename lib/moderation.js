@@ -0,0 +1,282 @@
+// lib/moderation.js
+const admin = require('firebase-admin');
+const { callGroqAI } = require('./groqClient');
+const { AI_SCHEMAS } = require('./aiSchemas');
+const { renderPrompt } = require('./prompts');
+const { httpError, sendError } = require('./errors');
+
+/*
+ * Category term lists. Entries are whole words or phrases matched on word boundaries after
+ * normalisation (see foldText and termPattern), so "skills" never matches "kill". Names and
+ * phrases that are only harmful in context ("Randi", "prices shoot up", "want to die of boredom")
+ * are listed with that context or not at all. Each list carries English, romanised
+ * Hindi/Marathi and Devanagari forms. Extend per deployment with MODERATION_TERMS_JSON
+ * ({ "category": ["term", ...] }) or per institute with institutes/{id}.moderation.extraTerms.
+ */
+const DEFAULT_TERMS = {
+  self_harm: [
+    'suicide', 'kill myself', 'killing myself', 'end my life', 'wish i was dead', 'wish i were dead', 'cut myself', 'self harm', 'selfharm', 'hang myself',
+    'aatmahatya', 'atmahatya', 'khudkushi', 'khudkhushi', 'mar jaunga', 'mar jaungi', 'marna chahta', 'marna chahti',
+    'jeev dena', 'jiv dena', 'jiv deto', 'jiv dete',
+    'आत्महत्या', 'खुदकुशी', 'मर जाऊंगा', 'मरना चाहता', 'जीव देणार'
+  ],
+  violence: [
+    'kill you', 'kill him', 'kill her', 'kill them', 'murder you', 'how to murder', 'shoot up the school', 'shoot up my school', 'make a bomb', 'build a bomb', 'stab you',
+    'maar dalunga', 'maar dunga', 'jaan se maar', 'khoon kar', 'thar marin', 'thaar marin',
+    'मार डालूंगा', 'जान से मार', 'खून कर', 'ठार मारीन'
+  ],
+  sexual: [
+    'porn', 'nudes', 'sex video', 'explicit sex', 'blowjob',
+    'chudai', 'nangi', 'zavazavi',
+    'चुदाई', 'नंगी'
+  ],
+  hate: [
+    'terrorist religion', 'go back to pakistan', 'ethnic cleansing',
+    'katua', 'mleccha',
+    'कटुआ', 'म्लेच्छ'
+  ],
+  abuse: [
+    'fuck', 'fucking', 'motherfucker', 'bitch', 'bastard', 'asshole', 'cunt',
+    'madarchod', 'maderchod', 'behenchod', 'bhenchod', 'bhenchot', 'chutiya', 'chutiye', 'gandu', 'randi ka', 'randi ki', 'randi ke', 'harami',
+    'bhadwa', 'bhosdike', 'lavda', 'lauda', 'zavadya', 'bhikarchot', 'aai zhavli',
+    'मादरचोद', 'बहनचोद', 'चुतिया', 'गांडू', 'रंडी', 'हरामी', 'भडवा', 'झवाड्या'
+  ]
+};
+const CATEGORIES = Object.keys(DEFAULT_TERMS);
+
+// 'off' | 'input' | 'all': when to ask the model after the term lists pass
+const LLM_CLASSIFIER = process.env.MODERATION_LLM_CLASSIFIER || 'off';
+const MAX_CLASSIFIER_CHARS = 2000;
+const EXCERPT_CHARS = 200;
+
+function loadTerms() {
+  const terms = {};
+  CATEGORIES.forEach(c => { terms[c] = [...DEFAULT_TERMS[c]]; });
+  if (process.env.MODERATION_TERMS_JSON) {
+    try {
+      const extra = JSON.parse(process.env.MODERATION_TERMS_JSON);
+      Object.entries(extra).forEach(([category, list]) => {
+        terms[category] = [...(terms[category] || []), ...list];
+      });
+    } catch (err) {
+      console.error("Invalid MODERATION_TERMS_JSON, using defaults:", err.message);
+    }
+  }
+  return terms;
+}
+
+const LEET = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's' };
+
+/**
+ * Normalises text and terms the same way: lower case, leetspeak inside words ("k1ll"),
+ * separators inside words ("k.i.l.l") and runs of whitespace. Letters are never dropped, so
+ * ordinary words keep their spelling; repeated letters and romanisation variants are handled
+ * per term by termPattern.
+ */
+function foldText(text) {
+  return String(text)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/(?<=\p{L})[.*_-](?=\p{L})/gu, '')
+    .replace(/(?<=\p{L})[013457@$]|[013457@$](?=\p{L})/gu, ch => LEET[ch])
+    .replace(/\s+/g, ' ');
+}
+
+function escapeRegex(term) {
+  return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/*
+ * Regex source for one folded term. Each run of a letter may be stretched ("kiiill") but not
+ * shortened, so "shoot" matches "shooot" and never "shot". Romanised spellings of a term's i, u
+ * and v may be written ee, oo or w ("gandu" matches "gandoo"); the reverse would turn "shoot up"
+ * into "shut up", so both spellings are listed where a term needs them.
+ */
+function termPattern(term) {
+  return term.match(/(.)\1*/gsu).map(run => {
+    const ch = run[0];
+    const n = run.length;
+    if (!/\p{L}/u.test(ch)) return escapeRegex(run);
+    const times = n > 1 ? `{${n},}` : '+';
+    if (ch === 'i') return `(?:i|ee)${times}`;
+    if (ch === 'u') return `(?:u|oo)${times}`;
+    if (ch === 'v' || ch === 'w') return `[vw]${times}`;
+    return `${escapeRegex(ch)}${times}`;
+  }).join('');
+}
+
+// Devanagari vowel signs are marks (\p{M}), so they count as part of a word too
+function compileMatcher(list) {
+  const alternatives = [...new Set(list.map(foldText))].sort((a, b) => b.length - a.length).map(termPattern);
+  if (alternatives.length === 0) return null;
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{M}\\p{N}])`, 'u');
+}
+
+const BASE_MATCHERS = Object.entries(loadTerms()).map(([category, list]) => ({ category, regex: compileMatcher(list) }));
+
+// instituteId -> { at, matchers, allow, classifier }; institute settings change rarely
+const institutePolicyCache = new Map();
+const POLICY_CACHE_MS = 5 * 60 * 1000;
+
+async function institutePolicy(instituteId) {
+  if (!instituteId) return { matchers: [], allow: null, classifier: LLM_CLASSIFIER };
+  const cached = institutePolicyCache.get(instituteId);
+  if (cached && Date.now() - cached.at < POLICY_CACHE_MS) return cached;
+
+  const snap = await admin.firestore().collection('institutes').doc(instituteId).get();
+  const settings = (snap.exists && snap.data().moderation) || {};
+  const policy = {
+    at: Date.now(),
+    matchers: Object.entries(settings.extraTerms || {})
+      .map(([category, list]) => ({ category, regex: compileMatcher(list) }))
+      .filter(m => m.regex),
+    allow: (settings.allowTerms || []).length ? compileMatcher(settings.allowTerms) : null,
+    classifier: settings.llmClassifier || LLM_CLASSIFIER
+  };
+  institutePolicyCache.set(instituteId, policy);
+  return policy;
+}
+
+/**
+ * Term-list check only (no I/O). `extraMatchers` and `allow` come from the institute policy.
+ * @returns {{ category: string, matched: string }|null}
+ */
+function matchTerms(text, extraMatchers = [], allow = null) {
+  let folded = foldText(text);
+  if (allow) folded = folded.replace(new RegExp(allow.source, 'gu'), ' ');
+  for (const { category, regex } of [...BASE_MATCHERS, ...extraMatchers]) {
+    const match = regex && folded.match(regex);
+    if (match) return { category, matched: match[0] };
+  }
+  return null;
+}
+
+/**
+ * Loads the user's institute policy once and returns a synchronous term check for
+ * text that arrives in pieces (streamed replies).
+ * @returns {Promise<(text: string) => ({ category: string, matched: string }|null)>}
+ */
+async function streamCheck(user) {
+  const policy = await institutePolicy(user && user.instituteId);
+  return (text) => matchTerms(text, policy.matchers, policy.allow);
+}
+
+async function classifyWithLLM(text, user) {
+  const { systemPrompt, userPrompt } = renderPrompt('moderationClassifier', { categories: CATEGORIES, text: text.slice(0, MAX_CLASSIFIER_CHARS) });
+  const verdict = await callGroqAI(systemPrompt, userPrompt, true, {
+    schema: AI_SCHEMAS.moderationVerdict, temperature: 0, maxTokens: 100, user, route: 'moderation'
+  });
+  if (!verdict.flagged || !CATEGORIES.includes(verdict.category)) return null;
+  return { category: verdict.category, matched: verdict.reason || null };
+}
+
+/**
+ * Checks one piece of text. Term lists always run; the LLM classifier runs when enabled
+ * for this direction and the lists found nothing. Classifier failures never block.
+ * @param {string} text
+ * @param {Object} ctx
+ * @param {'input'|'output'} ctx.direction
+ * @param {Object} [ctx.user] - `req.user`.
+ * @returns {Promise<{ allowed: boolean, category?: string, matched?: string, source?: 'list'|'llm' }>}
+ */
+async function moderateText(text, { direction, user }) {
+  if (!text || !String(text).trim()) return { allowed: true };
+  const policy = await institutePolicy(user && user.instituteId);
+
+  const hit = matchTerms(text, policy.matchers, policy.allow);
+  if (hit) return { allowed: false, ...hit, source: 'list' };
+
+  if (policy.classifier === 'all' || (policy.classifier === 'input' && direction === 'input')) {
+    try {
+      const flagged = await classifyWithLLM(String(text), user);
+      if (flagged) return { allowed: false, ...flagged, source: 'llm' };
+    } catch (err) {
+      console.error("Moderation Classifier Error:", err.message);
+    }
+  }
+  return { allowed: true };
+}
+
+async function logEvent({ user, route, direction, verdict, text }) {
+  await admin.firestore().collection('moderation_events').add({
+    uid: user ? user.uid : null,
+    role: user ? user.role || null : null,
+    instituteId: user ? user.instituteId || null : null,
+    route,
+    direction,
+    category: verdict.category,
+    matched: verdict.matched || null,
+    source: verdict.source,
+    excerpt: String(text).slice(0, EXCERPT_CHARS),
+    status: 'open',
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+// Every string inside a parsed JSON output, joined for one check
+function collectStrings(value) {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return value.map(collectStrings).join('\n');
+  if (value && typeof value === 'object') return Object.values(value).map(collectStrings).join('\n');
+  return '';
+}
+
+/**
+ * Throws 400 CONTENT_BLOCKED (input) or 502 OUTPUT_BLOCKED (model output) and logs the
+ * event to `moderation_events` when the text is not allowed.
+ * @param {string|Object} content - Text, or a parsed JSON output.
+ * @param {Object} ctx - { direction, user, route }.
+ */
+async function assertSafe(content, { direction, user, route }) {
+  const text = collectStrings(content);
+  const verdict = await moderateText(text, { direction, user });
+  if (verdict.allowed) return;
+
+  logEvent({ user, route, direction, verdict, text }).catch(err => console.error("Moderation Log Error:", err.message));
+  const err = direction === 'input'
+    ? httpError(400, 'This request goes against our content guidelines.', 'CONTENT_BLOCKED')
+    : httpError(502, 'The AI response was withheld by our content filter. Please rephrase and try again.', 'OUTPUT_BLOCKED');
+  err.details = { category: verdict.category };
+  throw err;
+}
+
+function getPath(source, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+/**
+ * Middleware for AI routes: checks the named body/query fields (dotted paths allowed).
+ */
+function moderateInput(...paths) {
+  return async (req, res, next) => {
+    try {
+      const texts = paths
+        .map(p => getPath(req.body, p) ?? getPath(req.query, p))
+        .filter(v => typeof v === 'string' && v.trim());
+      await assertSafe(texts.join('\n'), { direction: 'input', user: req.user, route: req.path });
+      next();
+    } catch (err) {
+      return sendError(res, err);
+    }
+  };
+}
+
+/**
+ * Closes a moderation event after institute review.
+ * @param {'dismiss'|'confirm'} decision - dismiss marks a false positive.
+ */
+async function reviewEvent(eventId, decision, note, reviewer) {
+  if (!['dismiss', 'confirm'].includes(decision)) throw httpError(400, "Decision must be 'dismiss' or 'confirm'");
+  const ref = admin.firestore().collection('moderation_events').doc(eventId);
+  const snap = await ref.get();
+  if (!snap.exists) throw httpError(404, 'Event not found');
+  if (snap.data().status !== 'open') throw httpError(409, `Event already ${snap.data().status}`);
+  await ref.update({
+    status: decision === 'confirm' ? 'confirmed' : 'dismissed',
+    reviewNote: note || null,
+    reviewedBy: reviewer.uid,
+    reviewedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+module.exports = { CATEGORIES, foldText, matchTerms, streamCheck, moderateText, assertSafe, moderateInput, reviewEvent };
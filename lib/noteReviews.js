@@ -0,0 +1,180 @@
+// lib/noteReviews.js
+const admin = require('firebase-admin');
+const { computeHash } = require('./groqClient');
+const { httpError } = require('./errors');
+
+const REVIEW_STATUSES = ['unreviewed', 'approved', 'flagged'];
+const MAX_NOTE_LENGTH = 20000;
+
+const notesRef = () => admin.firestore().collection('notes');
+const revisionsRef = (noteRef) => noteRef.collection('revisions');
+
+// Same hash /storeTopic uses for topic IDs, so one topic groups its notes across model and prompt versions
+function topicKeyFor(topicName) {
+  return computeHash(String(topicName).toLowerCase().trim());
+}
+
+/**
+ * The most recently approved note for a topic in an institute, or null.
+ */
+async function approvedNoteFor(instituteId, topicName) {
+  if (!instituteId) return null;
+  const snap = await notesRef()
+    .where('instituteId', '==', instituteId)
+    .where('topicKey', '==', topicKeyFor(topicName))
+    .where('reviewStatus', '==', 'approved')
+    .orderBy('reviewedAt', 'desc')
+    .limit(1)
+    .get();
+  return snap.empty ? null : { id: snap.docs[0].id, ...snap.docs[0].data() };
+}
+
+/**
+ * Notes generated for an institute, newest first, without the raw prompt.
+ */
+async function listNotes(instituteId, { subject, status } = {}) {
+  if (status && !REVIEW_STATUSES.includes(status)) throw httpError(400, `Status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+  let query = notesRef().where('instituteId', '==', instituteId);
+  if (subject) query = query.where('subject', '==', subject);
+  if (status) query = query.where('reviewStatus', '==', status);
+  const snap = await query.orderBy('generatedAt', 'desc').limit(100).get();
+  return snap.docs.map(doc => {
+    const { prompt, content, ...rest } = doc.data();
+    return { id: doc.id, ...rest, preview: (content || '').slice(0, 200) };
+  });
+}
+
+async function getNoteWithRevisions(noteId) {
+  const noteRef = notesRef().doc(noteId);
+  const [noteSnap, revisionsSnap] = await Promise.all([
+    noteRef.get(),
+    revisionsRef(noteRef).orderBy('version', 'desc').get()
+  ]);
+  if (!noteSnap.exists) throw httpError(404, 'Note not found');
+  return {
+    note: { id: noteSnap.id, ...noteSnap.data() },
+    revisions: revisionsSnap.docs.map(doc => doc.data())
+  };
+}
+
+/*
+ * Writes `content` as the note's next revision inside a transaction. Notes start without
+ * revisions, so the first change also stores what the model generated as version 1.
+ */
+function applyRevision(t, noteRef, note, { content, action, by, comment = null, revertedTo = null }, fields = {}) {
+  const FieldValue = admin.firestore.FieldValue;
+  let version = note.version || 0;
+  if (version === 0) {
+    version = 1;
+    t.set(revisionsRef(noteRef).doc('1'), {
+      version: 1,
+      content: note.content,
+      action: 'generated',
+      by: note.generatedForUserId || null,
+      modelVersion: note.modelVersion || null,
+      promptVersion: note.promptVersion || null,
+      createdAt: note.generatedAt || FieldValue.serverTimestamp()
+    });
+  }
+  const next = version + 1;
+  t.set(revisionsRef(noteRef).doc(String(next)), {
+    version: next, content, action, by, comment, revertedTo, createdAt: FieldValue.serverTimestamp()
+  });
+  t.set(noteRef, { ...fields, content, version: next, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+  return next;
+}
+
+function reviewFields(status, reviewer, reason = null) {
+  const FieldValue = admin.firestore.FieldValue;
+  if (status === 'unreviewed') return { reviewStatus: 'unreviewed', reviewedBy: FieldValue.delete(), reviewedAt: FieldValue.delete(), flagReason: FieldValue.delete() };
+  return {
+    reviewStatus: status,
+    reviewedBy: reviewer.uid,
+    reviewedAt: FieldValue.serverTimestamp(),
+    flagReason: status === 'flagged' ? reason : FieldValue.delete()
+  };
+}
+
+async function inNoteTransaction(noteId, fn) {
+  const noteRef = notesRef().doc(noteId);
+  return admin.firestore().runTransaction(async (t) => {
+    const snap = await t.get(noteRef);
+    if (!snap.exists) throw httpError(404, 'Note not found');
+    return fn(t, noteRef, snap.data());
+  });
+}
+
+/**
+ * Saves a teacher's edit as a new revision. The note goes back to 'unreviewed' unless `approve` is set.
+ * @returns {Promise<number>} - The new version number.
+ */
+async function editNote(noteId, content, editor, { approve = false, comment } = {}) {
+  if (typeof content !== 'string' || !content.trim()) throw httpError(400, 'Content is required');
+  if (content.length > MAX_NOTE_LENGTH) throw httpError(400, `Notes must be under ${MAX_NOTE_LENGTH} characters`);
+  return inNoteTransaction(noteId, (t, noteRef, note) => applyRevision(
+    t, noteRef, note,
+    { content, action: 'edit', by: editor.uid, comment: comment || null },
+    { editedBy: editor.uid, ...reviewFields(approve ? 'approved' : 'unreviewed', editor) }
+  ));
+}
+
+/**
+ * Restores an earlier revision's content as a new revision, so the revert itself can be undone.
+ */
+async function revertNote(noteId, version, editor) {
+  const target = Number(version);
+  if (!Number.isInteger(target) || target < 1) throw httpError(400, 'Version must be a positive integer');
+  return inNoteTransaction(noteId, async (t, noteRef, note) => {
+    if (target === (note.version || 1)) throw httpError(400, 'That version is already current');
+    const revision = await t.get(revisionsRef(noteRef).doc(String(target)));
+    if (!revision.exists) throw httpError(404, `Version ${target} not found`);
+    return applyRevision(
+      t, noteRef, note,
+      { content: revision.data().content, action: 'revert', by: editor.uid, revertedTo: target },
+      { editedBy: editor.uid, ...reviewFields('unreviewed', editor) }
+    );
+  });
+}
+
+/**
+ * Approves a note (served first to the institute's students) or flags it (regenerated on next request).
+ */
+async function setReviewStatus(noteId, status, reviewer, reason) {
+  if (!['approved', 'flagged'].includes(status)) throw httpError(400, "Status must be 'approved' or 'flagged'");
+  if (status === 'flagged' && !(typeof reason === 'string' && reason.trim())) throw httpError(400, 'A reason is required when flagging');
+  await inNoteTransaction(noteId, (t, noteRef) => {
+    t.update(noteRef, reviewFields(status, reviewer, status === 'flagged' ? reason.trim() : null));
+  });
+}
+
+/**
+ * Stores freshly generated notes. A flagged note being replaced keeps its history: the new
+ * content becomes its next revision and the note goes back to 'unreviewed'.
+ */
+async function saveGeneratedNote(noteRef, noteData) {
+  await admin.firestore().runTransaction(async (t) => {
+    const snap = await t.get(noteRef);
+    if (!snap.exists) {
+      t.set(noteRef, { ...noteData, reviewStatus: 'unreviewed' });
+      return;
+    }
+    const { content, ...fields } = noteData;
+    applyRevision(
+      t, noteRef, snap.data(),
+      { content, action: 'regenerated', by: noteData.generatedForUserId || null },
+      { ...fields, ...reviewFields('unreviewed') }
+    );
+  });
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  topicKeyFor,
+  approvedNoteFor,
+  listNotes,
+  getNoteWithRevisions,
+  editNote,
+  revertNote,
+  setReviewStatus,
+  saveGeneratedNote
+};
@@ -0,0 +1,159 @@
+// lib/proxyDetection.js
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { httpError } = require('./errors');
+const { assertCanManageSession } = require('./sessions');
+const { correctAttendance } = require('./attendance');
+
+// A student using more than this many devices within the window gets flagged
+const DEVICE_SWITCH_LIMIT = Number(process.env.DEVICE_SWITCH_LIMIT || 3);
+const DEVICE_SWITCH_WINDOW_DAYS = Number(process.env.DEVICE_SWITCH_WINDOW_DAYS || 14);
+// This many students reporting the exact same coordinates in one session gets flagged
+const IDENTICAL_LOCATION_LIMIT = Number(process.env.IDENTICAL_LOCATION_LIMIT || 3);
+
+const FLAG_TYPES = Object.freeze({
+  SHARED_DEVICE: 'shared_device',
+  DEVICE_SWITCHING: 'device_switching',
+  IDENTICAL_LOCATION: 'identical_location'
+});
+
+// Client fingerprints are only stored hashed
+function hashDevice(deviceId) {
+  return deviceId ? crypto.createHash('sha256').update(String(deviceId)).digest('hex') : null;
+}
+
+// Real GPS fixes jitter; six identical decimals (~10cm) across phones points to spoofing
+function locationKey(location) {
+  if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') return null;
+  return `${location.latitude.toFixed(6)},${location.longitude.toFixed(6)}`;
+}
+
+/*
+ * One flag per session, student and type. A repeat detection only refreshes the details of a flag
+ * still open; one already dismissed or confirmed by staff is left as reviewed.
+ */
+async function raiseFlag(sessionId, session, studentId, type, details) {
+  const ref = admin.firestore().collection('attendance_flags').doc(`${sessionId}_${studentId}_${type}`);
+  try {
+    await ref.create({
+      sessionId,
+      studentId,
+      instituteId: session.instituteId || null,
+      teacherId: session.teacherId || null,
+      subject: session.subject || 'Class',
+      type,
+      details,
+      status: 'open',
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (err) {
+    if (err.code !== 6) throw err; // ALREADY_EXISTS
+    await admin.firestore().runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      if (snap.exists && snap.data().status === 'open') t.update(ref, { details });
+    });
+  }
+}
+
+/**
+ * Runs the proxy-attendance checks for a freshly marked record and files flags for review.
+ * Never blocks attendance; callers should log (not surface) failures.
+ * @param {Object} params
+ * @param {string} params.sessionId
+ * @param {Object} params.session - The live session doc data.
+ * @param {string} params.studentId
+ * @param {string|null} params.deviceHash - From hashDevice().
+ * @param {string|null} params.locationKey - From locationKey().
+ * @returns {Promise<string[]>} - Flag types raised.
+ */
+async function detectProxyAttendance({ sessionId, session, studentId, deviceHash, locationKey: locKey }) {
+  const db = admin.firestore();
+  const raised = [];
+
+  if (deviceHash) {
+    // 1. One device marking several students in the same session
+    const sameDevice = await db.collection('attendance')
+      .where('sessionId', '==', sessionId).where('deviceHash', '==', deviceHash).get();
+    const others = sameDevice.docs.map(d => d.data().studentId).filter(uid => uid !== studentId);
+    if (others.length > 0) {
+      const studentIds = [studentId, ...others];
+      await Promise.all(studentIds.map(uid =>
+        raiseFlag(sessionId, session, uid, FLAG_TYPES.SHARED_DEVICE, { studentIds })));
+      raised.push(FLAG_TYPES.SHARED_DEVICE);
+    }
+
+    // 2. Frequent device switching
+    const devicesRef = db.collection('users').doc(studentId).collection('devices');
+    await devicesRef.doc(deviceHash).set({
+      lastSeenAt: admin.firestore.FieldValue.serverTimestamp(),
+      uses: admin.firestore.FieldValue.increment(1)
+    }, { merge: true });
+    const since = admin.firestore.Timestamp.fromMillis(Date.now() - DEVICE_SWITCH_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const recentDevices = await devicesRef.where('lastSeenAt', '>=', since).get();
+    if (recentDevices.size > DEVICE_SWITCH_LIMIT) {
+      await raiseFlag(sessionId, session, studentId, FLAG_TYPES.DEVICE_SWITCHING, {
+        devicesInWindow: recentDevices.size,
+        windowDays: DEVICE_SWITCH_WINDOW_DAYS
+      });
+      raised.push(FLAG_TYPES.DEVICE_SWITCHING);
+    }
+  }
+
+  // 3. Many students at identical coordinates
+  if (locKey) {
+    const sameSpot = await db.collection('attendance')
+      .where('sessionId', '==', sessionId).where('locationKey', '==', locKey).get();
+    if (sameSpot.size >= IDENTICAL_LOCATION_LIMIT) {
+      const studentIds = sameSpot.docs.map(d => d.data().studentId);
+      await Promise.all(studentIds.map(uid =>
+        raiseFlag(sessionId, session, uid, FLAG_TYPES.IDENTICAL_LOCATION, { studentIds, locationKey: locKey })));
+      raised.push(FLAG_TYPES.IDENTICAL_LOCATION);
+    }
+  }
+
+  return raised;
+}
+
+/**
+ * Closes a flag. Confirming it marks the student absent through the audited correction path.
+ * @param {string} flagId
+ * @param {'dismiss'|'confirm'} decision
+ * @param {string} [note]
+ * @param {Object} reviewer - `req.user` of the teacher.
+ */
+async function reviewFlag(flagId, decision, note, reviewer) {
+  if (!['dismiss', 'confirm'].includes(decision)) throw httpError(400, "Decision must be 'dismiss' or 'confirm'");
+
+  const db = admin.firestore();
+  const flagRef = db.collection('attendance_flags').doc(flagId);
+  const flagSnap = await flagRef.get();
+  if (!flagSnap.exists) throw httpError(404, 'Flag not found');
+  const flag = flagSnap.data();
+  if (flag.status !== 'open') throw httpError(409, `Flag already ${flag.status}`);
+
+  const sessionSnap = await db.collection('live_sessions').doc(flag.sessionId).get();
+  if (sessionSnap.exists) assertCanManageSession(sessionSnap.data(), reviewer);
+
+  if (decision === 'confirm') {
+    try {
+      await correctAttendance({
+        sessionId: flag.sessionId,
+        studentId: flag.studentId,
+        status: 'Absent',
+        reason: `Proxy attendance confirmed (${flag.type})${note ? `: ${note}` : ''}`,
+        corrector: reviewer
+      });
+    } catch (err) {
+      if (err.status !== 409) throw err;
+    }
+  }
+
+  await flagRef.update({
+    status: decision === 'confirm' ? 'confirmed' : 'dismissed',
+    reviewNote: note || null,
+    reviewedBy: reviewer.uid,
+    reviewedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+module.exports = { FLAG_TYPES, hashDevice, locationKey, detectProxyAttendance, reviewFlag };
@@ -0,0 +1,84 @@
+// lib/qrToken.js
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+
+const QR_TOKEN_SECRET = process.env.QR_TOKEN_SECRET;
+const QR_TOKEN_TTL_SECONDS = Number(process.env.QR_TOKEN_TTL_SECONDS || 20);
+// How often the teacher screen should ask for a fresh token
+const QR_ROTATE_SECONDS = Math.max(5, Math.floor(QR_TOKEN_TTL_SECONDS / 2));
+// Tolerated clock drift between issuing and verifying instances
+const CLOCK_SKEW_MS = 2000;
+
+// Error codes returned to the client so the scanner can show the right message
+const QR_ERRORS = Object.freeze({
+  MALFORMED: 'QR_MALFORMED',
+  BAD_SIGNATURE: 'QR_BAD_SIGNATURE',
+  EXPIRED: 'QR_EXPIRED',
+  REPLAYED: 'QR_REPLAYED',
+  SESSION_MISMATCH: 'QR_SESSION_MISMATCH'
+});
+
+function getSecret() {
+  if (!QR_TOKEN_SECRET) throw new Error("Missing QR_TOKEN_SECRET environment variable.");
+  return QR_TOKEN_SECRET;
+}
+
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Issues a signed token bound to one live session and rotation sequence.
+ * @param {string} sessionId - `live_sessions` document ID.
+ * @param {number} seq - Rotation counter stored on the session (`qrSeq`).
+ * @returns {{ token: string, expiresAt: number }}
+ */
+function issueQrToken(sessionId, seq) {
+  const iat = Date.now();
+  const exp = iat + QR_TOKEN_TTL_SECONDS * 1000;
+  const payload = Buffer.from(JSON.stringify({ sid: sessionId, seq, iat, exp })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt: exp };
+}
+
+/**
+ * Checks the signature and expiry of a scanned token.
+ * Session binding (sequence and institute) is checked by the caller against the session doc.
+ * @returns {{ sid: string, seq: number, iat: number, exp: number }}
+ */
+function verifyQrToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 2) throw httpError(400, 'Invalid QR Code', QR_ERRORS.MALFORMED);
+
+  const [payload, signature] = parts;
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw httpError(400, 'Invalid QR Code', QR_ERRORS.BAD_SIGNATURE);
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw httpError(400, 'Invalid QR Code', QR_ERRORS.MALFORMED);
+  }
+  if (!claims.sid || !Number.isInteger(claims.seq)) throw httpError(400, 'Invalid QR Code', QR_ERRORS.MALFORMED);
+
+  const now = Date.now();
+  if (claims.iat > now + CLOCK_SKEW_MS || now > claims.exp + CLOCK_SKEW_MS) {
+    throw httpError(400, 'QR Code Expired!', QR_ERRORS.EXPIRED);
+  }
+  return claims;
+}
+
+/**
+ * Rejects tokens superseded by more than one rotation (the previous token stays
+ * valid so a scan taken just before rotation still succeeds).
+ */
+function assertCurrentSequence(claims, session) {
+  const currentSeq = session.qrSeq || 0;
+  if (claims.seq > currentSeq) throw httpError(400, 'Invalid QR Code', QR_ERRORS.SESSION_MISMATCH);
+  if (claims.seq < currentSeq - 1) throw httpError(400, 'QR Code already used. Scan the live code.', QR_ERRORS.REPLAYED);
+}
+
+module.exports = { issueQrToken, verifyQrToken, assertCurrentSequence, QR_ERRORS, QR_ROTATE_SECONDS };
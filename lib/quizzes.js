@@ -0,0 +1,146 @@
+// lib/quizzes.js
+const admin = require('firebase-admin');
+const { planQuiz, recordAttemptSkill } = require('./skills');
+const { httpError } = require('./errors');
+
+// XP for passing a quiz (score above QUIZ_PASS_SCORE) on the first attempt
+const QUIZ_PASS_SCORE = 60;
+const QUIZ_XP = 20;
+
+const progressRef = (uid) => admin.firestore().collection('userProgress').doc(uid);
+
+/**
+ * A stored quiz as sent to students before they answer: no correct answers, explanations or prompt.
+ */
+function publicQuiz(id, quiz) {
+  const { questions = [], prompt, hash, generatedForUserId, ...rest } = quiz;
+  return {
+    id,
+    ...rest,
+    questions: questions.map(({ question, options, difficulty }) => ({ question, options, difficulty: difficulty || quiz.difficulty || null }))
+  };
+}
+
+/**
+ * Marks an attempt against the stored answers.
+ * @param {Object} quiz - Document from `quizzes`.
+ * @param {(number|null)[]} answers - Selected option index per question, null for skipped.
+ */
+function scoreAttempt(quiz, answers) {
+  const questions = quiz.questions || [];
+  if (!Array.isArray(answers) || answers.length !== questions.length) {
+    throw httpError(400, `Send one answer per question (${questions.length}), using null for skipped questions`);
+  }
+  const results = questions.map((q, i) => {
+    const selectedIndex = answers[i] ?? null;
+    if (selectedIndex !== null && !(Number.isInteger(selectedIndex) && selectedIndex >= 0 && selectedIndex < q.options.length)) {
+      throw httpError(400, `Answer ${i + 1} must be an option index or null`);
+    }
+    return {
+      questionIndex: i,
+      selectedIndex,
+      correctIndex: q.correctIndex,
+      correct: selectedIndex === q.correctIndex,
+      explanation: q.explanation || null,
+      difficulty: q.difficulty || quiz.difficulty || 'medium'
+    };
+  });
+  const correctCount = results.filter(r => r.correct).length;
+  return { results, correctCount, total: results.length, score: Math.round((correctCount / results.length) * 100) };
+}
+
+/**
+ * Scores a submission and stores the attempt. Only the student's first attempt at a quiz counts:
+ * it alone updates the topic skill and can earn XP (when passed). Answers are revealed after
+ * every attempt, so later attempts are kept as practice with `counted: false`; /quiz serves a
+ * different variant for the next real try.
+ * @returns {Promise<Object>} - Score, per-question results with explanations, XP awarded and mastery.
+ */
+async function submitQuizAttempt(user, quizId, answers) {
+  const db = admin.firestore();
+  const quizSnap = await db.collection('quizzes').doc(quizId).get();
+  if (!quizSnap.exists) throw httpError(404, 'Quiz not found');
+  const quiz = quizSnap.data();
+
+  const { results, correctCount, total, score } = scoreAttempt(quiz, answers);
+  const passed = score > QUIZ_PASS_SCORE;
+
+  // The earlier-attempt query is read inside the transaction, so two racing first submissions can't both count
+  const attemptsRef = progressRef(user.uid).collection('attempts');
+  const attemptRef = attemptsRef.doc();
+  const { counted, xpAwarded } = await db.runTransaction(async (t) => {
+    const earlier = await t.get(attemptsRef.where('quizId', '==', quizId).limit(1));
+    const first = earlier.empty;
+    const xp = first && passed ? QUIZ_XP : 0;
+    t.set(attemptRef, {
+      quizId,
+      topicName: quiz.topicName,
+      score,
+      correctCount,
+      total,
+      passed,
+      counted: first,
+      xpAwarded: xp,
+      answers: results.map(({ questionIndex, selectedIndex, correct }) => ({ questionIndex, selectedIndex, correct })),
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+    if (xp) t.update(db.collection('users').doc(user.uid), { xp: admin.firestore.FieldValue.increment(xp) });
+    return { counted: first, xpAwarded: xp };
+  });
+
+  let skill;
+  if (counted) {
+    skill = await recordAttemptSkill(user, {
+      topicName: quiz.topicName,
+      subject: quiz.subject,
+      outcomes: results.map(r => ({ difficulty: r.difficulty, correct: r.correct ? 1 : 0 })),
+      numQuestions: total
+    });
+    await attemptRef.update({ masteryAfter: skill.after });
+  } else {
+    const { mastery, ...next } = await planQuiz(user.uid, quiz.topicName, total);
+    skill = { before: mastery, after: mastery, next };
+  }
+
+  return {
+    attemptId: attemptRef.id,
+    score,
+    correctCount,
+    total,
+    passed,
+    counted,
+    xpAwarded,
+    results,
+    mastery: skill.after,
+    previousMastery: skill.before,
+    nextQuiz: skill.next
+  };
+}
+
+/**
+ * Picks the cached quiz to serve from the pool that shares `baseKey` (the topic, mix, model and
+ * prompt). Variant 0 is stored under `baseKey` itself, later ones under `${baseKey}_v<n>`. The
+ * first variant the student hasn't attempted is served, so a retake never repeats a quiz whose
+ * answers they have already seen; `snap` is empty when that variant still has to be generated.
+ * @returns {Promise<{ quizId: string, variant: number, snap: Object }>}
+ */
+async function nextQuizVariant(uid, topicName, baseKey) {
+  const quizzes = admin.firestore().collection('quizzes');
+  const attemptsSnap = await progressRef(uid).collection('attempts').where('topicName', '==', topicName).get();
+  const attempted = new Set(attemptsSnap.docs.map(doc => doc.data().quizId));
+
+  for (let variant = 0; ; variant++) {
+    const quizId = variant === 0 ? baseKey : `${baseKey}_v${variant}`;
+    if (attempted.has(quizId)) continue;
+    const snap = await quizzes.doc(quizId).get();
+    return { quizId, variant, snap };
+  }
+}
+
+// Answers stay hidden until the student has submitted the quiz at least once
+async function hasAttempted(uid, quizId) {
+  const snap = await progressRef(uid).collection('attempts').where('quizId', '==', quizId).limit(1).get();
+  return !snap.empty;
+}
+
+module.exports = { QUIZ_PASS_SCORE, QUIZ_XP, publicQuiz, scoreAttempt, submitQuizAttempt, nextQuizVariant, hasAttempted };
@@ -0,0 +1,260 @@
+// lib/roster.js
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const { parse: parseCsv } = require('csv-parse/sync');
+const { stringify: stringifyCsv } = require('csv-stringify/sync');
+const admin = require('firebase-admin');
+const { createUserAccount } = require('./accounts');
+const { httpError } = require('./errors');
+const { ROLES } = require('./auth');
+
+const MAX_ROSTER_ROWS = 2000;
+const IMPORT_BATCH_SIZE = 20;
+// admin.auth().getUsers() looks up at most 100 identifiers per call
+const AUTH_LOOKUP_BATCH = 100;
+const RESULT_COLUMNS = ['row', 'email', 'rollNo', 'status', 'uid', 'error'];
+const IMPORTABLE_ROLES = [ROLES.STUDENT, ROLES.TEACHER];
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Spreadsheet headers are matched case/space-insensitively against these aliases
+const COLUMN_ALIASES = {
+  email: ['email', 'emailid', 'mail'],
+  firstName: ['firstname', 'first', 'givenname'],
+  lastName: ['lastname', 'last', 'surname'],
+  rollNo: ['rollno', 'rollnumber', 'roll'],
+  department: ['department', 'dept', 'branch'],
+  year: ['year'],
+  semester: ['semester', 'sem'],
+  collegeId: ['collegeid', 'prn'],
+  subject: ['subject'],
+  qualification: ['qualification'],
+  password: ['password']
+};
+
+function normalizeHeader(header) {
+  const key = String(header).toLowerCase().replace(/[^a-z]/g, '');
+  return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(key)) || null;
+}
+
+// Header row and data rows of the first worksheet, as text
+async function readWorkbook(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    throw httpError(400, 'Could not read the spreadsheet');
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) throw httpError(400, 'The file has no sheets');
+
+  const lines = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    // cell.text renders numbers, dates, formulas and rich text as Excel shows them
+    const cells = [];
+    for (let col = 1; col <= row.cellCount; col++) cells.push(row.getCell(col).text);
+    lines.push(cells);
+  });
+  return lines;
+}
+
+function readCsv(buffer) {
+  try {
+    return parseCsv(buffer, { bom: true, skip_empty_lines: true, relax_column_count: true });
+  } catch (err) {
+    throw httpError(400, `Could not read the CSV: ${err.message}`);
+  }
+}
+
+/**
+ * Reads the first sheet of a CSV/XLSX upload into plain row objects keyed by our field names.
+ * @returns {Promise<Object[]>}
+ */
+async function parseRosterFile(buffer, fileName = '') {
+  if (!/\.(csv|xlsx)$/i.test(fileName)) throw httpError(400, 'Upload a .csv or .xlsx file');
+
+  const [headers = [], ...lines] = /\.csv$/i.test(fileName) ? readCsv(buffer) : await readWorkbook(buffer);
+  const rawRows = lines.filter(cells => cells.some(cell => String(cell).trim() !== ''));
+  if (rawRows.length === 0) throw httpError(400, 'The file has no rows');
+  if (rawRows.length > MAX_ROSTER_ROWS) throw httpError(400, `Roster is limited to ${MAX_ROSTER_ROWS} rows per file`);
+
+  const fields = headers.map(normalizeHeader);
+  return rawRows.map(cells => {
+    const row = {};
+    fields.forEach((field, i) => {
+      if (field && cells[i] !== undefined) row[field] = String(cells[i]).trim();
+    });
+    if (row.email) row.email = row.email.toLowerCase();
+    return row;
+  });
+}
+
+// Emails that already have a Firebase Auth account (at any institute)
+async function registeredEmails(emails) {
+  const found = new Set();
+  for (let i = 0; i < emails.length; i += AUTH_LOOKUP_BATCH) {
+    const chunk = emails.slice(i, i + AUTH_LOOKUP_BATCH).map(email => ({ email }));
+    const { users } = await admin.auth().getUsers(chunk);
+    users.forEach(user => { if (user.email) found.add(user.email.toLowerCase()); });
+  }
+  return found;
+}
+
+/**
+ * Validates every row against the institute's departments and existing users.
+ * Rows whose email already belongs to a user of the institute are marked for update; emails
+ * registered anywhere else are errors, since creating them would fail at import.
+ * @returns {Promise<Object[]>} - `{ row, data, action, uid, errors }` per input row.
+ */
+async function validateRoster(rows, { role, instituteId }) {
+  if (!IMPORTABLE_ROLES.includes(role)) throw httpError(400, `Role must be one of: ${IMPORTABLE_ROLES.join(', ')}`);
+
+  const db = admin.firestore();
+  const [deptSnap, usersSnap] = await Promise.all([
+    db.collection('departments').where('instituteId', '==', instituteId).get(),
+    db.collection('users').where('instituteId', '==', instituteId).get()
+  ]);
+
+  const departments = new Set();
+  deptSnap.forEach(doc => {
+    departments.add(doc.id.toLowerCase());
+    if (doc.data().name) departments.add(String(doc.data().name).toLowerCase());
+  });
+
+  const usersByEmail = new Map();
+  const uidByRollNo = new Map();
+  usersSnap.forEach(doc => {
+    const user = doc.data();
+    if (user.email) usersByEmail.set(user.email.toLowerCase(), { uid: doc.id, role: user.role });
+    if (user.rollNo) uidByRollNo.set(String(user.rollNo), doc.id);
+  });
+
+  const newEmails = [...new Set(rows.map(r => r.email).filter(email => email && EMAIL_REGEX.test(email) && !usersByEmail.has(email)))];
+  const takenEmails = await registeredEmails(newEmails);
+
+  const seenEmails = new Set();
+  const seenRollNos = new Set();
+
+  return rows.map((data, index) => {
+    const errors = [];
+    const existing = data.email ? usersByEmail.get(data.email) : null;
+
+    if (!data.email || !EMAIL_REGEX.test(data.email)) errors.push('Invalid email');
+    else if (seenEmails.has(data.email)) errors.push('Duplicate email in file');
+    if (!data.firstName) errors.push('First name is required');
+    if (existing && existing.role !== role) errors.push(`Email belongs to an existing ${existing.role}`);
+    if (!existing && takenEmails.has(data.email)) errors.push('Email is already registered to another account');
+
+    if (role === ROLES.STUDENT) {
+      if (!data.rollNo) errors.push('Roll number is required');
+      else if (seenRollNos.has(data.rollNo)) errors.push('Duplicate roll number in file');
+      else {
+        const holder = uidByRollNo.get(data.rollNo);
+        if (holder && (!existing || holder !== existing.uid)) errors.push('Roll number already taken in this institute');
+      }
+    }
+
+    if (!data.department) errors.push('Department is required');
+    else if (!departments.has(data.department.toLowerCase())) errors.push(`Unknown department "${data.department}"`);
+
+    if (data.password && data.password.length < 6) errors.push('Password must be at least 6 characters');
+
+    if (data.email) seenEmails.add(data.email);
+    if (data.rollNo) seenRollNos.add(data.rollNo);
+
+    return {
+      row: index + 2, // Spreadsheet row number (row 1 is the header)
+      data,
+      action: existing ? 'update' : 'create',
+      uid: existing ? existing.uid : null,
+      errors
+    };
+  });
+}
+
+function profileFields(data) {
+  return {
+    firstName: data.firstName,
+    lastName: data.lastName || '',
+    department: data.department || null,
+    rollNo: data.rollNo || null,
+    subject: data.subject || null,
+    qualification: data.qualification || null
+  };
+}
+
+async function importRow(entry, { role, instituteId, instituteName }) {
+  const { data } = entry;
+  const extras = {
+    year: data.year || null,
+    semester: data.semester || null,
+    collegeId: data.collegeId || null
+  };
+
+  if (entry.action === 'update') {
+    // Columns missing from this file (or left blank) keep the values already on the profile
+    const changes = Object.fromEntries(Object.entries({ ...profileFields(data), ...extras })
+      .filter(([, value]) => value !== null && value !== undefined && value !== ''));
+    const userRef = admin.firestore().collection('users').doc(entry.uid);
+    await userRef.update({ ...changes, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    const profile = (await userRef.get()).data();
+    await admin.auth().updateUser(entry.uid, { displayName: `${profile.firstName || ''} ${profile.lastName || ''}`.trim() });
+    return { status: 'updated', uid: entry.uid };
+  }
+
+  const uid = await createUserAccount({
+    email: data.email,
+    // Without a password column the user signs in through "Forgot password"
+    password: data.password || crypto.randomBytes(12).toString('base64url'),
+    role, instituteId, instituteName,
+    ...profileFields(data),
+    extras
+  });
+  return { status: 'created', uid };
+}
+
+/**
+ * Creates or updates every valid row in batches. Invalid rows are reported as skipped.
+ * @returns {Promise<Object[]>} - `{ row, email, rollNo, status, uid, error }` per input row.
+ */
+async function importRoster(validated, context) {
+  const results = [];
+  for (let i = 0; i < validated.length; i += IMPORT_BATCH_SIZE) {
+    const batch = validated.slice(i, i + IMPORT_BATCH_SIZE);
+    const outcomes = await Promise.all(batch.map(async (entry) => {
+      const base = { row: entry.row, email: entry.data.email || '', rollNo: entry.data.rollNo || '' };
+      if (entry.errors.length > 0) return { ...base, status: 'skipped', uid: '', error: entry.errors.join('; ') };
+      try {
+        const { status, uid } = await importRow(entry, context);
+        return { ...base, status, uid, error: '' };
+      } catch (err) {
+        return { ...base, status: 'failed', uid: '', error: err.message };
+      }
+    }));
+    results.push(...outcomes);
+  }
+  return results;
+}
+
+function summarize(entries, key) {
+  return entries.reduce((acc, entry) => {
+    acc[entry[key]] = (acc[entry[key]] || 0) + 1;
+    return acc;
+  }, { total: entries.length });
+}
+
+/**
+ * Serializes import results as a CSV string or an XLSX buffer.
+ * @returns {Promise<string|Buffer>}
+ */
+async function buildResultFile(results, format = 'csv') {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Results');
+    sheet.columns = RESULT_COLUMNS.map(key => ({ header: key, key }));
+    sheet.addRows(results);
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+  return stringifyCsv(results, { header: true, columns: RESULT_COLUMNS });
+}
+
+module.exports = { parseRosterFile, validateRoster, importRoster, summarize, buildResultFile, IMPORTABLE_ROLES };
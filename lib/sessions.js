@@ -0,0 +1,288 @@
+// lib/sessions.js
+const admin = require('firebase-admin');
+const { httpError } = require('./errors');
+const { ROLES } = require('./auth');
+const { excuseLeavesForSession } = require('./leaves');
+
+const DEFAULT_SESSION_MINUTES = Number(process.env.SESSION_DURATION_MINUTES || 60);
+const MAX_SESSION_MINUTES = Number(process.env.SESSION_MAX_MINUTES || 180);
+// A session left paused longer than this expires like any other
+const MAX_PAUSE_MINUTES = Number(process.env.SESSION_MAX_PAUSE_MINUTES || 30);
+const EXPIRY_SWEEP_LIMIT = 100;
+
+function sessionsRef() {
+  return admin.firestore().collection('live_sessions');
+}
+
+function teacherTeaches(teacher, subject) {
+  if (teacher.subject === subject) return true;
+  return Array.isArray(teacher.subjects) && teacher.subjects.includes(subject);
+}
+
+/**
+ * Throws unless the caller may manage the session: the teacher who started it,
+ * or an HOD / institute admin of the same institute.
+ */
+function assertCanManageSession(session, user) {
+  if (user.role === ROLES.SUPER_ADMIN) return;
+  if (session.instituteId && session.instituteId !== user.instituteId) {
+    throw httpError(403, 'Target belongs to another institute.');
+  }
+  if (user.role === ROLES.TEACHER && session.teacherId && session.teacherId !== user.uid) {
+    throw httpError(403, 'Only the session owner can manage this session.');
+  }
+}
+
+/*
+ * `expiresAt` is the running session's expiry, or the pause deadline while it is paused, so one
+ * field (and one sweep query) covers both. Sessions without it predate managed sessions and are
+ * treated as expired.
+ */
+function isExpired(session, now = Date.now()) {
+  return !session.expiresAt || session.expiresAt.toMillis() <= now;
+}
+
+/**
+ * Opens a live session for a teacher after checking they teach the subject.
+ * The expected roster is every student of the department (and year, if given).
+ * @param {Object} params
+ * @param {string} params.teacherId
+ * @param {string} params.subject
+ * @param {{latitude: number, longitude: number}} [params.location] - Classroom position.
+ * @param {string} [params.department] - Defaults to the teacher's department.
+ * @param {string} [params.year]
+ * @param {string} [params.semester]
+ * @param {number} [params.durationMinutes] - Auto-expiry window.
+ * @returns {Promise<{ sessionId: string, expiresAt: number, expectedCount: number }>}
+ */
+async function startLiveSession({ teacherId, subject, location, department, year, semester, durationMinutes, extra = {} }) {
+  const db = admin.firestore();
+  const teacherSnap = await db.collection('users').doc(teacherId).get();
+  if (!teacherSnap.exists) throw httpError(404, 'Teacher profile not found');
+  const teacher = teacherSnap.data();
+
+  if (!subject) throw httpError(400, 'Subject is required');
+  if (!teacherTeaches(teacher, subject)) throw httpError(403, `You are not assigned to teach ${subject}.`);
+  if (location && (typeof location.latitude !== 'number' || typeof location.longitude !== 'number')) {
+    throw httpError(400, 'Location must include numeric latitude and longitude');
+  }
+
+  const minutes = Math.min(Number(durationMinutes) || DEFAULT_SESSION_MINUTES, MAX_SESSION_MINUTES);
+  const classDepartment = department || teacher.department;
+  if (!classDepartment) throw httpError(400, 'Department is required');
+
+  let rosterQuery = db.collection('users')
+    .where('instituteId', '==', teacher.instituteId)
+    .where('role', '==', ROLES.STUDENT)
+    .where('department', '==', classDepartment);
+  if (year) rosterQuery = rosterQuery.where('year', '==', year);
+  const rosterSnap = await rosterQuery.get();
+  const expectedRoster = rosterSnap.docs.map(doc => doc.id);
+
+  // Checked and created in one transaction so two quick starts can't open two sessions
+  const sessionRef = sessionsRef().doc();
+  const expiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + minutes * 60 * 1000);
+  await db.runTransaction(async (t) => {
+    const activeSnap = await t.get(sessionsRef().where('teacherId', '==', teacherId).where('isActive', '==', true).limit(1));
+    if (!activeSnap.empty) throw httpError(409, 'You already have an active session. End it first.');
+    t.set(sessionRef, {
+      teacherId,
+      teacherName: `${teacher.firstName || ''} ${teacher.lastName || ''}`.trim(),
+      subject,
+      instituteId: teacher.instituteId,
+      department: classDepartment,
+      year: year || null,
+      semester: semester || null,
+      location: location || null,
+      expectedRoster,
+      expectedCount: expectedRoster.length,
+      durationMinutes: minutes,
+      isActive: true,
+      isPaused: false,
+      qrSeq: 0,
+      expiresAt,
+      startedAt: admin.firestore.FieldValue.serverTimestamp(),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...extra
+    });
+  });
+
+  return { sessionId: sessionRef.id, expiresAt: expiresAt.toMillis(), expectedCount: expectedRoster.length };
+}
+
+/**
+ * Pauses an active session. Scans are rejected and the expiry clock stops until resumed, for at
+ * most MAX_PAUSE_MINUTES; after that the session expires.
+ */
+async function pauseLiveSession(sessionId, user) {
+  const sessionRef = sessionsRef().doc(sessionId);
+  await admin.firestore().runTransaction(async (t) => {
+    const snap = await t.get(sessionRef);
+    // An expired session is only waiting for the sweep; it can't be brought back
+    if (!snap.exists || !snap.data().isActive || isExpired(snap.data())) throw httpError(404, 'Session not active');
+    const session = snap.data();
+    assertCanManageSession(session, user);
+    if (session.isPaused) throw httpError(409, 'Session is already paused');
+    const now = Date.now();
+    t.update(sessionRef, {
+      isPaused: true,
+      pausedAt: admin.firestore.Timestamp.fromMillis(now),
+      remainingMs: Math.max(session.expiresAt.toMillis() - now, 0),
+      expiresAt: admin.firestore.Timestamp.fromMillis(now + MAX_PAUSE_MINUTES * 60 * 1000)
+    });
+  });
+}
+
+/**
+ * Resumes a paused session with the time it had left when paused.
+ * @returns {Promise<number>} - New expiry in epoch milliseconds.
+ */
+async function resumeLiveSession(sessionId, user) {
+  const sessionRef = sessionsRef().doc(sessionId);
+  return admin.firestore().runTransaction(async (t) => {
+    const snap = await t.get(sessionRef);
+    if (!snap.exists || !snap.data().isActive || isExpired(snap.data())) throw httpError(404, 'Session not active');
+    const session = snap.data();
+    assertCanManageSession(session, user);
+    if (!session.isPaused) throw httpError(409, 'Session is not paused');
+
+    const expiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + (session.remainingMs || 0));
+    t.update(sessionRef, {
+      isPaused: false,
+      pausedAt: admin.firestore.FieldValue.delete(),
+      remainingMs: admin.firestore.FieldValue.delete(),
+      expiresAt
+    });
+    return expiresAt.toMillis();
+  });
+}
+
+/**
+ * Extends an active session's expiry, never beyond MAX_SESSION_MINUTES in total. A paused session
+ * gets the time added to what it will have left on resume.
+ * @returns {Promise<number>} - New expiry in epoch milliseconds (as of resuming now, if paused).
+ */
+async function extendLiveSession(sessionId, user, minutes) {
+  const extraMinutes = Number(minutes);
+  if (!extraMinutes || extraMinutes <= 0) throw httpError(400, 'Minutes must be a positive number');
+
+  const sessionRef = sessionsRef().doc(sessionId);
+  return admin.firestore().runTransaction(async (t) => {
+    const snap = await t.get(sessionRef);
+    if (!snap.exists || !snap.data().isActive || isExpired(snap.data())) throw httpError(404, 'Session not active');
+    const session = snap.data();
+    assertCanManageSession(session, user);
+
+    const durationMinutes = (session.durationMinutes || DEFAULT_SESSION_MINUTES) + extraMinutes;
+    if (durationMinutes > MAX_SESSION_MINUTES) {
+      throw httpError(400, `Sessions cannot run longer than ${MAX_SESSION_MINUTES} minutes`);
+    }
+    const extraMs = extraMinutes * 60 * 1000;
+    if (session.isPaused) {
+      const remainingMs = (session.remainingMs || 0) + extraMs;
+      t.update(sessionRef, { durationMinutes, remainingMs });
+      return Date.now() + remainingMs;
+    }
+    const base = session.expiresAt ? session.expiresAt.toMillis() : Date.now();
+    const expiresAt = admin.firestore.Timestamp.fromMillis(base + extraMs);
+    t.update(sessionRef, { durationMinutes, expiresAt });
+    return expiresAt.toMillis();
+  });
+}
+
+/**
+ * Ends a session exactly once and counts it in `department_stats.totalClasses`.
+ * Every path that closes a session (teacher, expiry sweep, lazy expiry) goes through here.
+ * Students on approved leave are then marked Excused for it.
+ * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {string} [options.reason] - 'ended' | 'expired'.
+ * @param {string} [options.endedBy] - UID of the user who ended it.
+ * @returns {Promise<boolean>} - False when the session was already closed.
+ */
+async function endLiveSession(sessionId, { reason = 'ended', endedBy = null } = {}) {
+  const db = admin.firestore();
+  const sessionRef = sessionsRef().doc(sessionId);
+  const ended = await db.runTransaction(async (t) => {
+    const snap = await t.get(sessionRef);
+    if (!snap.exists) throw httpError(404, 'Session not found');
+    const session = snap.data();
+    if (!session.isActive) return false;
+
+    t.update(sessionRef, {
+      isActive: false,
+      isPaused: false,
+      remainingMs: admin.firestore.FieldValue.delete(),
+      endReason: reason,
+      endedBy,
+      endedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const { instituteId, department } = session;
+    if (instituteId && department) {
+      const statsRef = db.collection('department_stats').doc(`${instituteId}_${department}`);
+      t.set(statsRef, { totalClasses: admin.firestore.FieldValue.increment(1), instituteId, department }, { merge: true });
+    }
+    return true;
+  });
+
+  if (ended) {
+    await excuseLeavesForSession(sessionId).catch(err => console.error("Leave Excusal Error:", err));
+  }
+  return ended;
+}
+
+/**
+ * Ends every active session whose expiry (or pause deadline) has passed. Called on an interval
+ * from index.js.
+ * @returns {Promise<number>} - Number of sessions closed.
+ */
+async function expireDueSessions() {
+  const snap = await sessionsRef()
+    .where('isActive', '==', true)
+    .where('expiresAt', '<=', admin.firestore.Timestamp.now())
+    .limit(EXPIRY_SWEEP_LIMIT)
+    .get();
+
+  let closed = 0;
+  for (const doc of snap.docs) {
+    if (await endLiveSession(doc.id, { reason: 'expired' })) closed++;
+  }
+  return closed;
+}
+
+/**
+ * Gives active sessions created before expiry existed an `expiresAt` (their start plus the
+ * default length, or now) so the sweep can find them. Run once at startup.
+ * @returns {Promise<number>} - Number of sessions updated.
+ */
+async function backfillSessionExpiry() {
+  const snap = await sessionsRef().where('isActive', '==', true).get();
+  const legacy = snap.docs.filter(doc => !doc.data().expiresAt);
+  for (let i = 0; i < legacy.length; i += 500) {
+    const batch = admin.firestore().batch();
+    legacy.slice(i, i + 500).forEach(doc => {
+      const started = doc.data().startedAt || doc.data().createdAt;
+      const from = started && typeof started.toMillis === 'function' ? started.toMillis() : Date.now();
+      batch.update(doc.ref, {
+        isPaused: false,
+        expiresAt: admin.firestore.Timestamp.fromMillis(from + DEFAULT_SESSION_MINUTES * 60 * 1000)
+      });
+    });
+    await batch.commit();
+  }
+  return legacy.length;
+}
+
+module.exports = {
+  startLiveSession,
+  pauseLiveSession,
+  resumeLiveSession,
+  extendLiveSession,
+  endLiveSession,
+  expireDueSessions,
+  backfillSessionExpiry,
+  assertCanManageSession,
+  teacherTeaches,
+  isExpired
+};
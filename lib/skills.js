@@ -0,0 +1,165 @@
+// lib/skills.js
+const admin = require('firebase-admin');
+const { topicKeyFor } = require('./noteReviews');
+const { httpError } = require('./errors');
+
+/*
+ * Per-topic skill is an Elo-style rating. Every question has a rating by difficulty and each
+ * answer moves the student's rating towards what they just showed: a right answer to a hard
+ * question moves it up a lot, a wrong answer to an easy one moves it down a lot.
+ */
+const START_RATING = 1000;
+const DIFFICULTY_RATINGS = { easy: 850, medium: 1000, hard: 1150 };
+const DIFFICULTIES = Object.keys(DIFFICULTY_RATINGS);
+// Rating change per question at the most surprising result
+const K_FACTOR = 24;
+
+// Share of each difficulty in the next quiz, by mastery level (aims for roughly 70% correct)
+const LEVELS = [
+  { level: 'beginner', below: 920, mix: { easy: 0.6, medium: 0.4, hard: 0 } },
+  { level: 'developing', below: 1020, mix: { easy: 0.3, medium: 0.5, hard: 0.2 } },
+  { level: 'proficient', below: 1120, mix: { easy: 0.1, medium: 0.5, hard: 0.4 } },
+  { level: 'mastered', below: Infinity, mix: { easy: 0, medium: 0.3, hard: 0.7 } }
+];
+
+const skillsRef = (uid) => admin.firestore().collection('userProgress').doc(uid).collection('skills');
+
+// Chance of answering a question of the given difficulty correctly
+function expectedScore(rating, difficulty) {
+  const questionRating = DIFFICULTY_RATINGS[difficulty] || DIFFICULTY_RATINGS.medium;
+  return 1 / (1 + Math.pow(10, (questionRating - rating) / 400));
+}
+
+/**
+ * What a rating means to the student: a level name and the expected % on medium questions.
+ */
+function masteryFor(rating = START_RATING) {
+  const { level } = LEVELS.find(l => rating < l.below);
+  return { level, rating: Math.round(rating), score: Math.round(expectedScore(rating, 'medium') * 100) };
+}
+
+/**
+ * Difficulty mix for the next quiz, as whole question counts that add up to `numQuestions`.
+ * @returns {{ difficulty: string, mix: { easy: number, medium: number, hard: number } }}
+ */
+function quizPlanFor(rating, numQuestions) {
+  const { mix: shares } = LEVELS.find(l => rating < l.below);
+  const mix = {};
+  let assigned = 0;
+  DIFFICULTIES.forEach(d => {
+    mix[d] = Math.floor(shares[d] * numQuestions);
+    assigned += mix[d];
+  });
+  // Hand out what rounding left over, largest share first
+  const byShare = [...DIFFICULTIES].sort((a, b) => shares[b] - shares[a]);
+  for (let i = 0; assigned < numQuestions; i++, assigned++) mix[byShare[i % byShare.length]] += 1;
+  return { difficulty: byShare[0], mix };
+}
+
+/**
+ * The student's current skill for a topic and the quiz plan that follows from it.
+ */
+async function planQuiz(uid, topicName, numQuestions) {
+  const snap = await skillsRef(uid).doc(topicKeyFor(topicName)).get();
+  const rating = snap.exists ? snap.data().rating : START_RATING;
+  return { ...quizPlanFor(rating, numQuestions), mastery: masteryFor(rating) };
+}
+
+/**
+ * Applies one quiz attempt to the student's skill for its topic.
+ * @param {Object} user - `req.user`.
+ * @param {Object} attempt
+ * @param {string} attempt.topicName
+ * @param {string} [attempt.subject]
+ * @param {{ difficulty: string, correct: number }[]} attempt.outcomes - `correct` is 1 or 0 per question.
+ * @param {number} [attempt.numQuestions] - Size of the next quiz to plan.
+ * @returns {Promise<{ before: Object, after: Object, next: Object }>} - Mastery before and after, and the next quiz plan.
+ */
+async function recordAttemptSkill(user, { topicName, subject = null, outcomes, numQuestions = 5 }) {
+  if (!outcomes.length) throw httpError(400, 'Attempt has no answers to learn from');
+  const db = admin.firestore();
+  const ref = skillsRef(user.uid).doc(topicKeyFor(topicName));
+  const userRef = db.collection('users').doc(user.uid);
+
+  return db.runTransaction(async (t) => {
+    const [snap, userSnap] = await Promise.all([t.get(ref), t.get(userRef)]);
+    const skill = snap.exists ? snap.data() : null;
+    const profile = userSnap.exists ? userSnap.data() : {};
+    const before = skill ? skill.rating : START_RATING;
+
+    // Outcomes are scored against the rating at the start of the attempt, so question order doesn't matter
+    const delta = outcomes.reduce((sum, o) => sum + K_FACTOR * (o.correct - expectedScore(before, o.difficulty)), 0);
+    const rating = before + delta;
+    const correct = outcomes.reduce((sum, o) => sum + o.correct, 0);
+    const mastery = masteryFor(rating);
+
+    t.set(ref, {
+      topicName,
+      topicKey: ref.id,
+      subject: subject || (skill && skill.subject) || null,
+      uid: user.uid,
+      instituteId: user.instituteId || null,
+      department: profile.department || null,
+      year: profile.year || null,
+      rating,
+      level: mastery.level,
+      masteryScore: mastery.score,
+      attempts: (skill ? skill.attempts : 0) + 1,
+      questionsAnswered: (skill ? skill.questionsAnswered : 0) + outcomes.length,
+      correctAnswers: (skill ? skill.correctAnswers : 0) + correct,
+      lastScore: Math.round((correct / outcomes.length) * 100),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    return { before: masteryFor(before), after: mastery, next: quizPlanFor(rating, numQuestions) };
+  });
+}
+
+/**
+ * The student's own skills, weakest first.
+ */
+async function listSkills(uid) {
+  const snap = await skillsRef(uid).orderBy('rating').get();
+  return snap.docs.map(doc => {
+    const { topicName, subject, rating, attempts, lastScore, updatedAt } = doc.data();
+    return { topicKey: doc.id, topicName, subject, attempts, lastScore, updatedAt, mastery: masteryFor(rating) };
+  });
+}
+
+/**
+ * Topics a class (institute, optionally narrowed to department/year/subject) is weakest at,
+ * by average rating across the students who have attempted them.
+ */
+async function weakestTopics(instituteId, { department, year, subject, limit = 10 } = {}) {
+  let query = admin.firestore().collectionGroup('skills').where('instituteId', '==', instituteId);
+  if (department) query = query.where('department', '==', department);
+  if (year) query = query.where('year', '==', year);
+  if (subject) query = query.where('subject', '==', subject);
+  const snap = await query.get();
+
+  const topics = {};
+  snap.docs.forEach(doc => {
+    const skill = doc.data();
+    const row = topics[skill.topicKey] || (topics[skill.topicKey] = {
+      topicKey: skill.topicKey, topicName: skill.topicName, subject: skill.subject, students: 0, ratingSum: 0, levels: {}
+    });
+    row.students += 1;
+    row.ratingSum += skill.rating;
+    row.levels[skill.level] = (row.levels[skill.level] || 0) + 1;
+  });
+
+  return Object.values(topics)
+    .map(({ ratingSum, ...row }) => ({ ...row, mastery: masteryFor(ratingSum / row.students) }))
+    .sort((a, b) => a.mastery.rating - b.mastery.rating)
+    .slice(0, Math.min(Number(limit) || 10, 50));
+}
+
+module.exports = {
+  DIFFICULTIES,
+  masteryFor,
+  quizPlanFor,
+  planQuiz,
+  recordAttemptSkill,
+  listSkills,
+  weakestTopics
+};
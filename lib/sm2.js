@@ -0,0 +1,55 @@
+// lib/sm2.js
+
+/*
+ * SM-2 spaced repetition (SuperMemo 2). Grades run 0-5:
+ *   0-2  forgotten: the card starts over and comes back tomorrow
+ *   3    recalled with serious difficulty
+ *   4    recalled after some hesitation
+ *   5    perfect recall
+ */
+
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scheduling fields of a card that has never been reviewed
+function initialState(now = new Date()) {
+  return { easeFactor: DEFAULT_EASE, interval: 0, repetitions: 0, dueAt: now };
+}
+
+/**
+ * Next scheduling state after a review.
+ * @param {{ easeFactor: number, interval: number, repetitions: number }} state - Current card state.
+ * @param {number} grade - Integer 0-5.
+ * @param {Date} [now]
+ * @returns {{ easeFactor: number, interval: number, repetitions: number, dueAt: Date }}
+ */
+function schedule(state, grade, now = new Date()) {
+  const easeFactor = state.easeFactor || DEFAULT_EASE;
+  let repetitions = state.repetitions || 0;
+  let interval;
+
+  if (grade < 3) {
+    repetitions = 0;
+    interval = 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round((state.interval || 1) * easeFactor);
+  }
+
+  const nextEase = Math.max(MIN_EASE, easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+  return {
+    easeFactor: Math.round(nextEase * 100) / 100,
+    interval,
+    repetitions,
+    dueAt: new Date(now.getTime() + interval * DAY_MS)
+  };
+}
+
+function isValidGrade(grade) {
+  return Number.isInteger(grade) && grade >= 0 && grade <= 5;
+}
+
+module.exports = { initialState, schedule, isValidGrade };
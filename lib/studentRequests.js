@@ -0,0 +1,155 @@
+// lib/studentRequests.js
+const admin = require('firebase-admin');
+const { createUserAccount } = require('./accounts');
+const { httpError } = require('./errors');
+const { ROLES } = require('./auth');
+
+const BULK_APPROVAL_LIMIT = 200;
+
+function requestsRef() {
+  return admin.firestore().collection('student_requests');
+}
+
+/**
+ * Moves a pending request into `processing` so two reviewers can't decide it at once.
+ * Returns the request data as it was before the claim.
+ * @param {string[]} [fromStatuses] - Statuses the request may be claimed from.
+ */
+async function claimPendingRequest(requestRef, reviewer, fromStatuses = ['pending']) {
+  return admin.firestore().runTransaction(async (t) => {
+    const snap = await t.get(requestRef);
+    if (!snap.exists) throw httpError(404, 'Student request not found');
+
+    const data = snap.data();
+    if (reviewer.role !== ROLES.SUPER_ADMIN && data.instituteId !== reviewer.instituteId) {
+      throw httpError(403, 'Target belongs to another institute.');
+    }
+    if (!fromStatuses.includes(data.status)) throw httpError(409, `Request already ${data.status}`);
+
+    t.update(requestRef, { status: 'processing' });
+    return data;
+  });
+}
+
+/*
+ * Records a failed approval. The plaintext password goes either way; the applicant has to
+ * re-apply and an admin can still deny the failed request.
+ */
+async function markFailed(requestRef, reviewer, err, uid = null) {
+  try {
+    await requestRef.update({
+      status: 'failed',
+      uid,
+      failureReason: err.message,
+      failedBy: reviewer.uid,
+      failedAt: admin.firestore.FieldValue.serverTimestamp(),
+      password: admin.firestore.FieldValue.delete()
+    });
+  } catch (updateErr) {
+    console.error(`Could not mark student request ${requestRef.id} as failed:`, updateErr);
+  }
+}
+
+function reviewFields(reviewer, reason) {
+  return {
+    reviewedBy: reviewer.uid,
+    reviewedByEmail: reviewer.email || null,
+    reviewReason: reason || null,
+    reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+    // The applicant's plaintext password is never kept past the decision
+    password: admin.firestore.FieldValue.delete()
+  };
+}
+
+/**
+ * Creates the student's account from a pending request and records the decision.
+ * @param {string} requestId - Document ID in `student_requests`.
+ * @param {Object} reviewer - `req.user` of the approving admin.
+ * @param {string} [reason] - Optional note shown to the applicant.
+ * @returns {Promise<{requestId: string, uid: string}>}
+ */
+async function approveStudentRequest(requestId, reviewer, reason) {
+  const requestRef = requestsRef().doc(requestId);
+  const request = await claimPendingRequest(requestRef, reviewer);
+
+  let uid;
+  try {
+    uid = await createUserAccount({
+      email: request.email,
+      password: request.password,
+      firstName: request.firstName,
+      lastName: request.lastName,
+      role: ROLES.STUDENT,
+      instituteId: request.instituteId,
+      instituteName: request.instituteName,
+      department: request.department,
+      rollNo: request.rollNo,
+      extras: {
+        year: request.year || null,
+        semester: request.semester || null,
+        collegeId: request.collegeId || null
+      }
+    });
+  } catch (err) {
+    await markFailed(requestRef, reviewer, err);
+    throw err;
+  }
+
+  try {
+    await requestRef.update({ status: 'approved', uid, ...reviewFields(reviewer, reason) });
+  } catch (err) {
+    // The account exists; keep its uid on the request so the admin can find it
+    await markFailed(requestRef, reviewer, err, uid);
+    throw err;
+  }
+  return { requestId, uid };
+}
+
+/**
+ * Denies a pending (or failed) request. A reason is required so the applicant knows what to fix.
+ */
+async function denyStudentRequest(requestId, reviewer, reason) {
+  if (!reason) throw httpError(400, 'A reason is required to deny a request');
+
+  const requestRef = requestsRef().doc(requestId);
+  await claimPendingRequest(requestRef, reviewer, ['pending', 'failed']);
+  await requestRef.update({ status: 'denied', ...reviewFields(reviewer, reason) });
+  return { requestId };
+}
+
+/**
+ * Approves every pending request of an institute matching the optional filters.
+ * Requests are processed one at a time; failures are reported per request.
+ * @param {string} instituteId
+ * @param {Object} filters - Any of `department`, `year`, `semester`, or an explicit `requestIds` list.
+ */
+async function bulkApproveStudentRequests(instituteId, filters, reviewer, reason) {
+  let requestIds;
+  if (Array.isArray(filters.requestIds) && filters.requestIds.length > 0) {
+    requestIds = filters.requestIds;
+  } else {
+    let query = requestsRef().where('instituteId', '==', instituteId).where('status', '==', 'pending');
+    ['department', 'year', 'semester'].forEach(field => {
+      if (filters[field]) query = query.where(field, '==', filters[field]);
+    });
+    const snap = await query.limit(BULK_APPROVAL_LIMIT).get();
+    requestIds = snap.docs.map(doc => doc.id);
+  }
+
+  if (requestIds.length > BULK_APPROVAL_LIMIT) {
+    throw httpError(400, `Cannot approve more than ${BULK_APPROVAL_LIMIT} requests at once`);
+  }
+
+  const approved = [];
+  const failed = [];
+  for (const requestId of requestIds) {
+    try {
+      approved.push(await approveStudentRequest(requestId, reviewer, reason));
+    } catch (err) {
+      failed.push({ requestId, error: err.message });
+    }
+  }
+  return { approved, failed };
+}
+
+module.exports = { approveStudentRequest, denyStudentRequest, bulkApproveStudentRequests };
@@ -0,0 +1,252 @@
+// lib/timetable.js
+const admin = require('firebase-admin');
+const { httpError } = require('./errors');
+const { startLiveSession } = require('./sessions');
+
+// Slots are defined in the institute's local time
+const TIMETABLE_TZ = process.env.TIMETABLE_TZ || 'Asia/Kolkata';
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 62;
+
+const dateFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: TIMETABLE_TZ, year: 'numeric', month: '2-digit', day: '2-digit',
+  hour: '2-digit', minute: '2-digit', hourCycle: 'h23', weekday: 'short'
+});
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Splits an instant into the timetable's local calendar fields.
+ * @returns {{ date: string, dayOfWeek: number, minutes: number }}
+ */
+function localParts(instant = new Date()) {
+  const parts = {};
+  dateFormatter.formatToParts(instant).forEach(p => { parts[p.type] = p.value; });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+function toMinutes(time) {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// Day of week for a YYYY-MM-DD calendar date (timezone independent)
+function dayOfWeekOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Validates and normalizes a weekly recurring slot before it is stored.
+ */
+function validateSlot(slot) {
+  const dayOfWeek = Number(slot.dayOfWeek);
+  if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) throw httpError(400, 'dayOfWeek must be 0 (Sun) to 6 (Sat)');
+  if (!TIME_REGEX.test(slot.startTime || '') || !TIME_REGEX.test(slot.endTime || '')) throw httpError(400, 'Times must be HH:MM (24h)');
+  if (toMinutes(slot.endTime) <= toMinutes(slot.startTime)) throw httpError(400, 'endTime must be after startTime');
+  if (!slot.subjectId || !slot.teacherId || !slot.department) throw httpError(400, 'subjectId, teacherId and department are required');
+  if (slot.effectiveFrom && !DATE_REGEX.test(slot.effectiveFrom)) throw httpError(400, 'effectiveFrom must be YYYY-MM-DD');
+  if (slot.effectiveTo && !DATE_REGEX.test(slot.effectiveTo)) throw httpError(400, 'effectiveTo must be YYYY-MM-DD');
+  if (slot.effectiveFrom && slot.effectiveTo && slot.effectiveTo < slot.effectiveFrom) throw httpError(400, 'effectiveTo must not be before effectiveFrom');
+  return { ...slot, dayOfWeek };
+}
+
+/**
+ * True when two weekly slots can ever meet: same weekday, overlapping times and
+ * overlapping effective date ranges (an open end runs forever).
+ */
+function slotsOverlap(a, b) {
+  if (Number(a.dayOfWeek) !== Number(b.dayOfWeek)) return false;
+  if (!(a.startTime < b.endTime && b.startTime < a.endTime)) return false;
+  const aFrom = a.effectiveFrom || '0000-00-00';
+  const bFrom = b.effectiveFrom || '0000-00-00';
+  const aTo = a.effectiveTo || '9999-99-99';
+  const bTo = b.effectiveTo || '9999-99-99';
+  return aFrom <= bTo && bFrom <= aTo;
+}
+
+function slotRunsOn(slot, date) {
+  if (slot.dayOfWeek !== dayOfWeekOf(date)) return false;
+  if (slot.effectiveFrom && date < slot.effectiveFrom) return false;
+  if (slot.effectiveTo && date > slot.effectiveTo) return false;
+  return true;
+}
+
+/**
+ * Loads holidays and cancellations of an institute for a date range, keyed for quick lookup.
+ */
+async function loadExceptions(instituteId, from, to) {
+  const db = admin.firestore();
+  const [holidaySnap, cancelSnap] = await Promise.all([
+    db.collection('holidays').where('instituteId', '==', instituteId).where('date', '>=', from).where('date', '<=', to).get(),
+    db.collection('slot_cancellations').where('instituteId', '==', instituteId).where('date', '>=', from).where('date', '<=', to).get()
+  ]);
+  const holidays = new Map();
+  holidaySnap.forEach(doc => holidays.set(doc.data().date, doc.data().name || 'Holiday'));
+  const cancellations = new Map();
+  cancelSnap.forEach(doc => cancellations.set(`${doc.data().slotId}_${doc.data().date}`, doc.data().reason || 'Cancelled'));
+  return { holidays, cancellations };
+}
+
+/**
+ * Loads live sessions opened for slots in a date range, keyed by `${slotId}_${slotDate}`.
+ */
+async function loadSlotSessions(instituteId, from, to) {
+  const snap = await admin.firestore().collection('live_sessions')
+    .where('instituteId', '==', instituteId)
+    .where('slotDate', '>=', from)
+    .where('slotDate', '<=', to)
+    .get();
+  const sessions = new Map();
+  snap.forEach(doc => sessions.set(`${doc.data().slotId}_${doc.data().slotDate}`, { id: doc.id, ...doc.data() }));
+  return sessions;
+}
+
+/**
+ * Expands slots into dated occurrences with their status:
+ * 'held' | 'live' | 'missing' | 'upcoming' | 'cancelled' | 'holiday'.
+ * @param {Object[]} slots - Slot docs (`{ id, ...data }`) of one institute.
+ * @param {string} from - YYYY-MM-DD, inclusive.
+ * @param {string} to - YYYY-MM-DD, inclusive.
+ */
+async function expandOccurrences(instituteId, slots, from, to) {
+  if (!DATE_REGEX.test(from) || !DATE_REGEX.test(to) || from > to) throw httpError(400, 'Invalid date range (use YYYY-MM-DD)');
+  if (addDays(from, MAX_RANGE_DAYS) < to) throw httpError(400, `Date range is limited to ${MAX_RANGE_DAYS} days`);
+
+  const [{ holidays, cancellations }, sessions] = await Promise.all([
+    loadExceptions(instituteId, from, to),
+    loadSlotSessions(instituteId, from, to)
+  ]);
+  const now = localParts();
+
+  const occurrences = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    slots.filter(slot => slotRunsOn(slot, date)).forEach(slot => {
+      const key = `${slot.id}_${date}`;
+      const session = sessions.get(key);
+      let status;
+      if (holidays.has(date)) status = 'holiday';
+      else if (cancellations.has(key)) status = 'cancelled';
+      else if (session) status = session.isActive ? 'live' : 'held';
+      else if (date > now.date || (date === now.date && toMinutes(slot.endTime) > now.minutes)) status = 'upcoming';
+      else status = 'missing';
+
+      occurrences.push({
+        slotId: slot.id,
+        date,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        subjectId: slot.subjectId,
+        subjectName: slot.subjectName,
+        teacherId: slot.teacherId,
+        roomId: slot.roomId || null,
+        department: slot.department,
+        year: slot.year || null,
+        semester: slot.semester || null,
+        status,
+        note: holidays.get(date) || cancellations.get(key) || null,
+        sessionId: session ? session.id : null
+      });
+    });
+  }
+  return occurrences.sort((a, b) => (a.date + a.startTime).localeCompare(b.date + b.startTime));
+}
+
+/**
+ * Links a session to its timetable slot so it counts as held. The slot has to run today,
+ * and today can't be a holiday or cancelled for it (409 SLOT_NOT_SCHEDULED).
+ * @returns {Promise<{ slot: Object, extra: Object, location: Object|null }>}
+ */
+async function slotSessionDetails(slotId, teacherId) {
+  const db = admin.firestore();
+  const slotSnap = await db.collection('timetable_slots').doc(slotId).get();
+  if (!slotSnap.exists) throw httpError(404, 'Timetable slot not found');
+  const slot = slotSnap.data();
+  if (slot.teacherId !== teacherId) throw httpError(403, 'This slot is assigned to another teacher.');
+
+  const today = localParts().date;
+  if (!slotRunsOn(slot, today)) throw httpError(409, 'This class is not scheduled today.', 'SLOT_NOT_SCHEDULED');
+  const { holidays, cancellations } = await loadExceptions(slot.instituteId, today, today);
+  if (holidays.has(today)) throw httpError(409, `Today is a holiday (${holidays.get(today)}).`, 'SLOT_NOT_SCHEDULED');
+  if (cancellations.has(`${slotId}_${today}`)) throw httpError(409, 'This class is cancelled today.', 'SLOT_NOT_SCHEDULED');
+
+  let location = null;
+  if (slot.roomId) {
+    const roomSnap = await db.collection('rooms').doc(slot.roomId).get();
+    if (roomSnap.exists) location = roomSnap.data().location || null;
+  }
+  return {
+    slot,
+    location,
+    extra: { slotId, slotDate: today, roomId: slot.roomId || null }
+  };
+}
+
+/**
+ * Opens sessions for every auto-open slot whose time window contains now.
+ * Called on an interval from index.js; slots already opened, cancelled or on a holiday are skipped
+ * (slotSessionDetails refuses the latter two).
+ * @returns {Promise<number>} - Number of sessions opened.
+ */
+async function openDueSlotSessions() {
+  const db = admin.firestore();
+  const now = localParts();
+  const slotsSnap = await db.collection('timetable_slots')
+    .where('dayOfWeek', '==', now.dayOfWeek)
+    .where('autoOpen', '==', true)
+    .get();
+
+  let opened = 0;
+  for (const doc of slotsSnap.docs) {
+    const slot = { id: doc.id, ...doc.data() };
+    if (!slotRunsOn(slot, now.date)) continue;
+    const start = toMinutes(slot.startTime);
+    const end = toMinutes(slot.endTime);
+    if (now.minutes < start || now.minutes >= end) continue;
+
+    const existing = await db.collection('live_sessions')
+      .where('slotId', '==', slot.id).where('slotDate', '==', now.date).limit(1).get();
+    if (!existing.empty) continue;
+
+    try {
+      const { location, extra } = await slotSessionDetails(slot.id, slot.teacherId);
+      await startLiveSession({
+        teacherId: slot.teacherId,
+        subject: slot.subjectName,
+        location,
+        department: slot.department,
+        year: slot.year,
+        semester: slot.semester,
+        durationMinutes: end - now.minutes,
+        extra: { ...extra, autoOpened: true }
+      });
+      opened++;
+    } catch (err) {
+      // Holidays, cancellations and a teacher already in another session (409), or a teacher no
+      // longer assigned to the subject (403), are expected skips, retried next minute without logging
+      if (err.status === 409 || err.status === 403) continue;
+      console.error(`Auto-open failed for slot ${slot.id}:`, err.message);
+    }
+  }
+  return opened;
+}
+
+module.exports = {
+  TIMETABLE_TZ,
+  DATE_REGEX,
+  localParts,
+  validateSlot,
+  slotsOverlap,
+  expandOccurrences,
+  slotSessionDetails,
+  openDueSlotSessions
+};
@@ -0,0 +1,22 @@
+// lib/uploads.js
+const cloudinary = require('cloudinary').v2;
+
+/**
+ * Uploads a file buffer to Cloudinary (configured in index.js) and resolves with its secure URL.
+ * @param {Buffer} fileBuffer
+ * @param {Object} [options] - Extra upload options, e.g. a different `folder`.
+ */
+async function uploadToCloudinary(fileBuffer, options = {}) {
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      { folder: "acadex_docs", resource_type: "auto", ...options }, // auto detects PDF/Img
+      (error, result) => {
+        if (error) reject(error);
+        else resolve(result.secure_url);
+      }
+    );
+    stream.end(fileBuffer);
+  });
+}
+
+module.exports = { uploadToCloudinary };
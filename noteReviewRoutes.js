@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const admin = require('firebase-admin');
+const { ROLES, STAFF_ROLES, authorize } = require('./lib/auth');
+const { httpError, sendError } = require('./lib/errors');
+const { teacherTeaches } = require('./lib/sessions');
+const { listNotes, getNoteWithRevisions, editNote, revertNote, setReviewStatus } = require('./lib/noteReviews');
+
+const db = admin.firestore();
+
+// Who can review, edit and publish generated notes
+const NOTE_REVIEWERS = [...STAFF_ROLES, ROLES.SUPER_ADMIN];
+
+// Super admins must say which institute they are reviewing; everyone else uses their own
+function targetInstitute(req) {
+    if (req.user.role === ROLES.SUPER_ADMIN) {
+        const instituteId = (req.body && req.body.instituteId) || req.query.instituteId;
+        if (!instituteId) throw httpError(400, 'Missing Institute ID');
+        return instituteId;
+    }
+    return req.user.instituteId;
+}
+
+// Teachers review notes for the subjects they teach; HODs and admins review their whole institute
+async function assertCanReviewSubject(req, subject) {
+    if (req.user.role !== ROLES.TEACHER) return;
+    if (!subject) throw httpError(403, 'Teachers can only review notes tagged with a subject they teach.');
+    const teacherSnap = await db.collection('users').doc(req.user.uid).get();
+    if (!teacherSnap.exists || !teacherTeaches(teacherSnap.data(), subject)) {
+        throw httpError(403, `You are not assigned to teach ${subject}.`);
+    }
+}
+
+async function loadNote(req) {
+    const snap = await db.collection('notes').doc(req.params.noteId).get();
+    if (!snap.exists) throw httpError(404, 'Note not found');
+    const note = snap.data();
+    if (req.user.role !== ROLES.SUPER_ADMIN && note.instituteId !== req.user.instituteId) {
+        throw httpError(403, 'Target belongs to another institute.');
+    }
+    await assertCanReviewSubject(req, note.subject);
+    return { id: snap.id, ...note };
+}
+
+// 1. LIST (filter by subject and review status: unreviewed | approved | flagged)
+router.get('/', authorize(NOTE_REVIEWERS), async (req, res) => {
+    try {
+        const { subject, status } = req.query;
+        await assertCanReviewSubject(req, subject);
+        const notes = await listNotes(targetInstitute(req), { subject, status });
+        res.json({ notes });
+    } catch (error) { sendError(res, error); }
+});
+
+// 2. DETAIL (full content plus every revision, newest first)
+router.get('/:noteId', authorize(NOTE_REVIEWERS), async (req, res) => {
+    try {
+        const note = await loadNote(req);
+        res.json(await getNoteWithRevisions(note.id));
+    } catch (error) { sendError(res, error); }
+});
+
+// 3. EDIT (saved as a new revision; pass `approve: true` to publish in the same step)
+router.put('/:noteId', authorize(NOTE_REVIEWERS), async (req, res) => {
+    try {
+        const note = await loadNote(req);
+        const { content, approve, comment } = req.body;
+        const version = await editNote(note.id, content, req.user, { approve: approve === true, comment });
+        res.json({ message: 'Note updated.', version });
+    } catch (error) { sendError(res, error); }
+});
+
+// 4. APPROVE (students of the institute are served this note first for its topic)
+router.post('/:noteId/approve', authorize(NOTE_REVIEWERS), async (req, res) => {
+    try {
+        const note = await loadNote(req);
+        await setReviewStatus(note.id, 'approved', req.user);
+        res.json({ message: 'Note approved.' });
+    } catch (error) { sendError(res, error); }
+});
+
+// 5. FLAG (stops the note being served; the next request for the topic regenerates it)
+router.post('/:noteId/flag', authorize(NOTE_REVIEWERS), async (req, res) => {
+    try {
+        const note = await loadNote(req);
+        await setReviewStatus(note.id, 'flagged', req.user, req.body.reason);
+        res.json({ message: 'Note flagged for regeneration.' });
+    } catch (error) { sendError(res, error); }
+});
+
+// 6. REVERT (restores an earlier version's content as a new revision)
+router.post('/:noteId/revert', authorize(NOTE_REVIEWERS), async (req, res) => {
+    try {
+        const note = await loadNote(req);
+        const version = await revertNote(note.id, req.body.version, req.user);
+        res.json({ message: `Reverted to version ${req.body.version}.`, version });
+    } catch (error) { sendError(res, error); }
+});
+
+module.exports = router;
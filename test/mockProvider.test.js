@@ -0,0 +1,41 @@
+// test/mockProvider.test.js
+// Offline checks of the mock LLM provider: `npm test` needs no network or API key.
+process.env.LLM_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { AI_SCHEMAS, validate } = require('../lib/aiSchemas');
+const { createMockProvider } = require('../lib/llmProviders');
+const { callGroqAI } = require('../lib/groqClient');
+
+const messages = [{ role: 'system', content: 'system' }, { role: 'user', content: 'user' }];
+
+test('mock JSON placeholders pass every AI schema', async () => {
+  const provider = createMockProvider({ fixturesDir: os.tmpdir() });
+  for (const [name, schema] of Object.entries(AI_SCHEMAS)) {
+    const { content } = await provider.complete({ model: 'mock', messages, jsonMode: true, schema });
+    assert.deepStrictEqual(validate(schema, JSON.parse(content)), [], name);
+  }
+});
+
+test('mock replays a fixture keyed by the request', async () => {
+  const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+  const key = crypto.createHash('sha256').update(JSON.stringify({ messages, jsonMode: false })).digest('hex');
+  fs.writeFileSync(path.join(fixturesDir, `${key}.json`), JSON.stringify({ content: 'recorded reply' }));
+  try {
+    const provider = createMockProvider({ fixturesDir });
+    const { content } = await provider.complete({ model: 'mock', messages, jsonMode: false });
+    assert.strictEqual(content, 'recorded reply');
+  } finally {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  }
+});
+
+test('callGroqAI returns schema-valid JSON from the mock', async () => {
+  const quiz = await callGroqAI('Make a quiz', 'Topic: arrays', true, { schema: AI_SCHEMAS.quiz, route: 'quiz' });
+  assert.deepStrictEqual(validate(AI_SCHEMAS.quiz, quiz), []);
+});
@@ -0,0 +1,37 @@
+// test/moderation.test.js
+// Term-list matching only; no Firestore or model calls.
+process.env.LLM_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { matchTerms } = require('../lib/moderation');
+
+test('everyday phrases are not flagged', () => {
+  [
+    'Inflation shot up in 2008',
+    'The stock price shot up',
+    'Prices shoot up every winter',
+    'Randi Zuckerberg spoke at the summit',
+    'I want to die… of boredom',
+    'Shut up and listen',
+    'Improve your skills',
+    'The course costs $100'
+  ].forEach(text => assert.strictEqual(matchTerms(text), null, text));
+});
+
+test('obfuscated terms are still caught', () => {
+  [
+    ['I will k.i.l.l you', 'violence'],
+    ['kiiiill you', 'violence'],
+    ['sh00t up the school', 'violence'],
+    ['fuuuuck', 'abuse'],
+    ['gandoo', 'abuse'],
+    ['randi ka', 'abuse'],
+    ['मादरचोद', 'abuse'],
+    ['I wish i was dead', 'self_harm']
+  ].forEach(([text, category]) => {
+    const hit = matchTerms(text);
+    assert.ok(hit, text);
+    assert.strictEqual(hit.category, category, text);
+  });
+});
@@ -0,0 +1,336 @@
+const express = require('express');
+const router = express.Router();
+const admin = require('firebase-admin');
+const { ROLES, STAFF_ROLES, authenticate, authorize } = require('./lib/auth');
+const { httpError, sendError } = require('./lib/errors');
+const { DATE_REGEX, localParts, validateSlot, slotsOverlap, expandOccurrences } = require('./lib/timetable');
+const { validateGeofence } = require('./lib/geofence');
+
+const db = admin.firestore();
+
+// Who can edit rooms, subjects, assignments, slots and holidays
+const TIMETABLE_MANAGERS = [ROLES.HOD, ROLES.INSTITUTE_ADMIN, ROLES.SUPER_ADMIN];
+
+// Super admins must say which institute they are editing; everyone else uses their own
+function targetInstitute(req) {
+    if (req.user.role === ROLES.SUPER_ADMIN) {
+        const instituteId = (req.body && req.body.instituteId) || req.query.instituteId;
+        if (!instituteId) throw httpError(400, 'Missing Institute ID');
+        return instituteId;
+    }
+    return req.user.instituteId;
+}
+
+// Loads a doc and checks it belongs to the caller's institute
+async function loadOwned(collection, docId, req) {
+    const snap = await db.collection(collection).doc(docId).get();
+    if (!snap.exists) throw httpError(404, 'Not found');
+    const data = snap.data();
+    if (req.user.role !== ROLES.SUPER_ADMIN && data.instituteId !== req.user.instituteId) {
+        throw httpError(403, 'Target belongs to another institute.');
+    }
+    return { ref: snap.ref, id: snap.id, ...data };
+}
+
+async function listFor(collection, instituteId, filters = {}) {
+    let query = db.collection(collection).where('instituteId', '==', instituteId);
+    Object.keys(filters).forEach(field => {
+        if (filters[field] !== undefined && filters[field] !== '') query = query.where(field, '==', filters[field]);
+    });
+    const snap = await query.get();
+    return snap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+// 1. ROOMS (kind 'classroom' or 'campus'; geofence is a polygon or a set of circles)
+router.post('/rooms', authorize(TIMETABLE_MANAGERS), async (req, res) => {
+    try {
+        const { name, building, capacity, location, kind = 'classroom' } = req.body;
+        if (!name) return res.status(400).json({ error: 'Room name is required' });
+        const ref = await db.collection('rooms').add({
+            instituteId: targetInstitute(req),
+            name,
+            kind,
+            building: building || null,
+            capacity: Number(capacity) || null,
+            location: location || null,
+            geofence: validateGeofence(req.body.geofence),
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        res.json({ message: 'Room added.', roomId: ref.id });
+    } catch (error) { sendError(res, error); }
+});
+
+router.put('/rooms/:roomId/geofence', authorize(TIMETABLE_MANAGERS), async (req, res) => {
+    try {
+        const room = await loadOwned('rooms', req.params.roomId, req);
+        const geofence = validateGeofence(req.body.geofence);
+        await room.ref.update({ geofence, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        res.json({ message: geofence ? 'Geofence saved.' : 'Geofence removed.' });
+    } catch (error) { sendError(res, error); }
+});
+
+router.get('/rooms', authenticate, async (req, res) => {
+    try {
+        res.json({ rooms: await listFor('rooms', targetInstitute(req)) });
+    } catch (error) { sendError(res, error); }
+});
+
+router.delete('/rooms/:roomId', authorize(TIMETABLE_MANAGERS), async (req, res) => {
+    try {
+        const room = await loadOwned('rooms', req.params.roomId, req);
+        const inUse = await db.collection('timetable_slots').where('roomId', '==', room.id).limit(1).get();
+        if (!inUse.empty) return res.status(409).json({ error: 'Room is used by timetable slots' });
+        await room.ref.delete();
+        res.json({ message: 'Room deleted.' });
+    } catch (error) { sendError(res, error); }
+});
+
+// 2. SUBJECTS
+router.post('/subjects', authorize(TIMETABLE_MANAGERS), async (req, res) => {
+    try {
+        const { name, code, department, year, semester } = req.body;
+        if (!name || !department) return res.status(400).json({ error: 'Subject name and department are required' });
+        const ref = await db.collection('subjects').add({
+            instituteId: targetInstitute(req),
+            name,
+            code: code || null,
+            department,
+            year: year || null,
+            semester: semester || null,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        res.json({ message: 'Subject added.', subjectId: ref.id });
+    } catch (error) { sendError(res, error); }
+});
+
+router.get('/subjects', authenticate, async (req, res) => {
+    try {
+        const { department, year, semester } = req.query;
+        res.json({ subjects: await listFor('subjects', targetInstitute(req), { department, year, semester }) });
+    } catch (error) { sendError(res, error); }
+});
+
+router.delete('/subjects/:subjectId', authorize(TIMETABLE_MANAGERS), async (req, res) => {
+    try {
+        const subject = await loadOwned('subjects', req.params.subjectId, req);
+        const inUse = await db.collection('timetable_slots').where('subjectId', '==', subject.id).limit(1).get();
+        if (!inUse.empty) return res.status(409).json({ error: 'Subject is used by timetable slots' });
+        await subject.ref.delete();
+        res.json({ message: 'Subject deleted.' });
+    } catch (error) { sendError(res, error); }
+});
+
+// 3. TEACHER ASSIGNMENTS (also keeps users.subjects in sync for /startSession)
+router.post('/assignments', authorize(TIMETABLE_MANAGERS), async (req, res) => {
+    try {
+        const { teacherId, subjectId } = req.body;
+        if (!teacherId || !subjectId) return res.status(400).json({ error: 'teacherId and subjectId are required' });
+
+        const subject = await loadOwned('subjects', subjectId, req);
+        const teacher = await loadOwned('users', teacherId, req);
+        if (![ROLES.TEACHER, ROLES.HOD].includes(teacher.role)) return res.status(400).json({ error: 'User is not a teacher' });
+
+        const assignmentRef = db.collection('teaching_assignments').doc(`${teacherId}_${subjectId}`);
+        await assignmentRef.set({
+            instituteId: subject.instituteId,
+            teacherId,
+            teacherName: `${teacher.firstName || ''} ${teacher.lastName || ''}`.trim(),
+            subjectId,
+            subjectName: subject.name,
+            department: subject.department,
+            year: subject.year || null,
+            semester: subject.semester || null,
+            assignedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        await teacher.ref.update({ subjects: admin.firestore.FieldValue.arrayUnion(subject.name) });
+        res.json({ message: 'Teacher assigned.', assignmentId: assignmentRef.id });
+    } catch (error) { sendError(res, error); }
+});
+
+router.get('/assignments', authenticate, async (req, res) => {
+    try {
+        const { teacherId, subjectId } = req.query;
+        res.json({ assignments: await listFor('teaching_assignments', targetInstitute(req), { teacherId, subjectId }) });
+    } catch (error) { sendError(res, error); }
+});
+
+router.delete('/assignments/:assignmentId', authorize(TIMETABLE_MANAGERS), async (req, res) => {
+    try {
+        const assignment = await loadOwned('teaching_assignments', req.params.assignmentId, req);
+        await assignment.ref.delete();
+        // users.subjects holds names; keep the name while another of the teacher's assignments uses it
+        const sameName = await db.collection('teaching_assignments')
+            .where('teacherId', '==', assignment.teacherId)
+            .where('subjectName', '==', assignment.subjectName)
+            .limit(1).get();
+        if (sameName.empty) {
+            await db.collection('users').doc(assignment.teacherId).update({
+                subjects: admin.firestore.FieldValue.arrayRemove(assignment.subjectName)
+            });
+        }
+        res.json({ message: 'Assignment removed.' });
+    } catch (error) { sendError(res, error); }
+});
+
+// 4. WEEKLY SLOTS
+router.post('/slots', authorize(TIMETABLE_MANAGERS), async (req, res) => {
+    try {
+        const slot = validateSlot(req.body);
+        const instituteId = targetInstitute(req);
+
+        const subject = await loadOwned('subjects', slot.subjectId, req);
+        const assignment = await db.collection('teaching_assignments').doc(`${slot.teacherId}_${slot.subjectId}`).get();
+        if (!assignment.exists) return res.status(400).json({ error: 'Teacher is not assigned to this subject' });
+        if (slot.roomId) await loadOwned('rooms', slot.roomId, req);
+
+        // Same room or same teacher cannot be double-booked while both slots are in effect
+        const sameDay = await listFor('timetable_slots', instituteId, { dayOfWeek: slot.dayOfWeek });
+        const clash = sameDay.find(other => slotsOverlap(slot, other) &&
+            ((slot.roomId && other.roomId === slot.roomId) || other.teacherId === slot.teacherId));
+        if (clash) return res.status(409).json({ error: `Clashes with ${clash.subjectName} (${clash.startTime}-${clash.endTime})`, slotId: clash.id });
+
+        const ref = await db.collection('timetable_slots').add({
+            instituteId,
+            department: slot.department,
+            year: slot.year || null,
+            semester: slot.semester || null,
+            subjectId: slot.subjectId,
+            subjectName: subject.name,
+            teacherId: slot.teacherId,
+            roomId: slot.roomId || null,
+            dayOfWeek: slot.dayOfWeek,
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+            effectiveFrom: slot.effectiveFrom || null,
+            effectiveTo: slot.effectiveTo || null,
+            autoOpen: slot.autoOpen === true || slot.autoOpen === 'true',
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        res.json({ message: 'Slot added.', slotId: ref.id });
+    } catch (error) { sendError(res, error); }
+});
+
+router.get('/slots', authenticate, async (req, res) => {
+    try {
+        const { department, year, semester, teacherId } = req.query;
+        const slots = await listFor('timetable_slots', targetInstitute(req), { department, year, semester, teacherId });
+        slots.sort((a, b) => a.dayOfWeek - b.dayOfWeek || a.startTime.localeCompare(b.startTime));
+        res.json({ slots });
+    } catch (error) { sendError(res, error); }
+});
+
+router.delete('/slots/:slotId', authorize(TIMETABLE_MANAGERS), async (req, res) => {
+    try {
+        const slot = await loadOwned('timetable_slots', req.params.slotId, req);
+        await slot.ref.delete();
+        res.json({ message: 'Slot deleted.' });
+    } catch (error) { sendError(res, error); }
+});
+
+// 5. HOLIDAYS
+router.post('/holidays', authorize(TIMETABLE_MANAGERS), async (req, res) => {
+    try {
+        const { date, name } = req.body;
+        if (!DATE_REGEX.test(date || '')) return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+        const instituteId = targetInstitute(req);
+        const ref = db.collection('holidays').doc(`${instituteId}_${date}`);
+        await ref.set({ instituteId, date, name: name || 'Holiday', createdBy: req.user.uid });
+        res.json({ message: 'Holiday added.', holidayId: ref.id });
+    } catch (error) { sendError(res, error); }
+});
+
+router.get('/holidays', authenticate, async (req, res) => {
+    try {
+        const holidays = await listFor('holidays', targetInstitute(req));
+        holidays.sort((a, b) => a.date.localeCompare(b.date));
+        res.json({ holidays });
+    } catch (error) { sendError(res, error); }
+});
+
+router.delete('/holidays/:holidayId', authorize(TIMETABLE_MANAGERS), async (req, res) => {
+    try {
+        const holiday = await loadOwned('holidays', req.params.holidayId, req);
+        await holiday.ref.delete();
+        res.json({ message: 'Holiday removed.' });
+    } catch (error) { sendError(res, error); }
+});
+
+// 6. ONE-OFF CANCELLATIONS (slot's teacher or a manager)
+router.post('/cancellations', authorize(STAFF_ROLES.concat(ROLES.SUPER_ADMIN)), async (req, res) => {
+    try {
+        const { slotId, date, reason } = req.body;
+        if (!slotId || !DATE_REGEX.test(date || '')) return res.status(400).json({ error: 'slotId and date (YYYY-MM-DD) are required' });
+
+        const slot = await loadOwned('timetable_slots', slotId, req);
+        if (req.user.role === ROLES.TEACHER && slot.teacherId !== req.user.uid) {
+            return res.status(403).json({ error: 'You can only cancel your own classes.' });
+        }
+
+        const ref = db.collection('slot_cancellations').doc(`${slotId}_${date}`);
+        await ref.set({
+            instituteId: slot.instituteId,
+            slotId,
+            date,
+            reason: reason || 'Cancelled',
+            cancelledBy: req.user.uid,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        res.json({ message: 'Class cancelled.', cancellationId: ref.id });
+    } catch (error) { sendError(res, error); }
+});
+
+router.delete('/cancellations/:cancellationId', authorize(STAFF_ROLES.concat(ROLES.SUPER_ADMIN)), async (req, res) => {
+    try {
+        const cancellation = await loadOwned('slot_cancellations', req.params.cancellationId, req);
+        if (req.user.role === ROLES.TEACHER) {
+            const slotSnap = await db.collection('timetable_slots').doc(cancellation.slotId).get();
+            if (!slotSnap.exists || slotSnap.data().teacherId !== req.user.uid) {
+                return res.status(403).json({ error: 'You can only restore your own classes.' });
+            }
+        }
+        await cancellation.ref.delete();
+        res.json({ message: 'Cancellation removed.' });
+    } catch (error) { sendError(res, error); }
+});
+
+// 7. TODAY'S CLASSES (students by department/year, teachers by their own slots)
+router.get('/today', authenticate, async (req, res) => {
+    try {
+        const { uid, role, instituteId } = req.user;
+        const today = localParts().date;
+
+        let filters;
+        if (role === ROLES.STUDENT) {
+            const userSnap = await db.collection('users').doc(uid).get();
+            const student = userSnap.data() || {};
+            if (!student.department) return res.json({ date: today, classes: [] });
+            filters = { department: student.department, year: student.year || undefined };
+        } else {
+            filters = { teacherId: uid };
+        }
+
+        const slots = await listFor('timetable_slots', instituteId, filters);
+        const classes = await expandOccurrences(instituteId, slots, today, today);
+        res.json({ date: today, classes });
+    } catch (error) { sendError(res, error); }
+});
+
+// 8. EXPECTED VS HELD SESSIONS (missing classes are status 'missing')
+router.get('/expectedSessions', authorize(STAFF_ROLES.concat(ROLES.SUPER_ADMIN)), async (req, res) => {
+    try {
+        const { from, to, department, year, semester } = req.query;
+        const instituteId = targetInstitute(req);
+        // Teachers only see their own schedule
+        const teacherId = req.user.role === ROLES.TEACHER ? req.user.uid : req.query.teacherId;
+
+        const slots = await listFor('timetable_slots', instituteId, { department, year, semester, teacherId });
+        const occurrences = await expandOccurrences(instituteId, slots, from, to);
+        const summary = occurrences.reduce((acc, o) => {
+            acc[o.status] = (acc[o.status] || 0) + 1;
+            return acc;
+        }, { total: occurrences.length });
+        res.json({ summary, occurrences });
+    } catch (error) { sendError(res, error); }
+});
+
+module.exports = router;